@@ -0,0 +1,6138 @@
+const fmtInteger = new Intl.NumberFormat("en-US", {
+  maximumFractionDigits: 0,
+});
+
+const fmtDecimal = new Intl.NumberFormat("en-US", {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2,
+});
+
+const HELP_USAGE_WIDTH = 24;
+const CHART_LABEL_WIDTH = 7;
+const SUGGESTION_LIMIT = 3;
+const MAX_AFFORDABLE_SCAN = 1000;
+const BULK_CONFIRM_COUNT = 5;
+const CONFIRM_TIMEOUT_SECONDS = 30;
+const PREVIEW_PRICE_COUNT = 5;
+const COST_GROWTH = {
+  clipperCost: 0.14,
+  factoryCost: 0.18,
+  wireCost: 0.06,
+  marketingCost: 0.42,
+  optimizeCost: 0.55,
+  warehouseCost: 0.35,
+};
+
+const WIRE_BASE_PRICE = 18;
+const WIRE_REVERSION = 0.04;
+const WIRE_VOLATILITY = 0.1;
+const WIRE_PRICE_FLOOR = 0.5;
+const WIRE_PRICE_CEILING = 4;
+const WIRE_SAMPLE_TICKS = 5;
+const WIRE_HISTORY_LENGTH = 48;
+const WIRE_CHART_HEIGHT = 6;
+const WIRE_CONTRACT_PREMIUM = 0.05;
+const WIRE_CONTRACT_DEPOSIT = 0.1;
+const WIRE_CONTRACT_MAX_SPOOLS = 100;
+const WIRE_CONTRACT_MIN_TICKS = 10;
+const WIRE_CONTRACT_MAX_TICKS = 600;
+
+const RIVAL_FIRMS = [
+  {
+    id: "acme",
+    name: "Acme Fastener Co.",
+    price: 0.26,
+    capacity: 14,
+    marketing: 1,
+    unitCost: 0.17,
+    overhead: 0.8,
+    funds: 600,
+    aggression: 0.5,
+  },
+  {
+    id: "bendwell",
+    name: "Bendwell Supply",
+    price: 0.24,
+    capacity: 8,
+    marketing: 0,
+    unitCost: 0.16,
+    overhead: 0.5,
+    funds: 300,
+    aggression: 0.8,
+  },
+  {
+    id: "clipworks",
+    name: "Clipworks Ltd.",
+    price: 0.3,
+    capacity: 20,
+    marketing: 2,
+    unitCost: 0.19,
+    overhead: 0.9,
+    funds: 1200,
+    aggression: 0.2,
+  },
+];
+const RIVAL_MARKET_UNITS = 40;
+const RIVAL_PRICE_ELASTICITY = 3;
+const RIVAL_UPDATE_TICKS = 10;
+const RIVAL_CAMPAIGN_COST = 250;
+const RIVAL_EXPANSION_FUNDS = 2000;
+const RIVAL_EXPANSION_COST = 1000;
+const COMPETITION_FACTOR_MIN = 0.25;
+const COMPETITION_FACTOR_MAX = 2.5;
+
+const REBOOT_MIN_SOLD = 25000;
+const REBOOT_SOLD_PER_CORE = 2500;
+const REBOOT_KEY = "paperclipCommand.reboot";
+const REBOOT_UPGRADES = {
+  funds: {
+    name: "Seed Capital",
+    effect: "+75 cr starting funds",
+    baseCost: 1,
+    maxLevel: 10,
+    apply: (state, level) => {
+      state.funds += 75 * level;
+    },
+  },
+  clippers: {
+    name: "Tuned Clippers",
+    effect: "+10% autoclipper rate",
+    baseCost: 2,
+    maxLevel: 10,
+    apply: (state, level) => {
+      state.clipperRate *= 1 + 0.1 * level;
+    },
+  },
+  optimize: {
+    name: "Calibration Library",
+    effect: "-10% optimize cost",
+    baseCost: 2,
+    maxLevel: 5,
+    apply: (state, level) => {
+      state.optimizeCost =
+        Math.round(state.optimizeCost * 0.9 ** level * 100) / 100;
+    },
+  },
+};
+
+const TUTORIAL_KEY = "paperclipCommand.tutorial";
+const TUTORIAL_STEPS = [
+  {
+    command: "fabricate",
+    objective: "Fabricate 5 clips by hand.",
+    hint: "Type `fabricate` or press Fabricate Clip. Each clip uses wire and lands in inventory for sale.",
+    isMet: (state) => state.clipsMade >= 5,
+  },
+  {
+    command: "set price",
+    objective: "Set a clip price.",
+    hint: "There is no button for this one: type `set price 0.30`. Higher prices earn more per clip but sell fewer; watch the Demand Index.",
+    isMet: (state) => state.flags.priceSet,
+  },
+  {
+    command: "buy wire",
+    objective: "Buy a spool of wire.",
+    hint: "Type `buy wire` or press Procure Wire. Every clip needs wire, and the spot price drifts over time.",
+    isMet: (state) => state.flags.wirePurchased,
+  },
+  {
+    command: "buy autoclipper",
+    objective: "Deploy an autoclipper.",
+    hint: "Type `buy autoclipper` or press Deploy Autoclipper once you can afford one. It fabricates clips every second.",
+    isMet: (state) => state.autoclippers >= 1,
+  },
+];
+
+const SCOREBOARD_KEY = "paperclipCommand.scoreboard";
+const SCOREBOARD_SIZE = 5;
+const SCENARIOS = {
+  "wire-famine": {
+    name: "Wire Famine",
+    description:
+      "Wire trades at three times its usual price and the plant starts with 300 wire.",
+    goal: "sell 5,000 clips",
+    progress: (state) => [state.totalSold, 5000],
+    timeLimit: 30 * 60,
+    setup: (state) => {
+      state.wireBasePrice = WIRE_BASE_PRICE * 3;
+      state.wireCost = state.wireBasePrice;
+      state.wireHistory = [state.wireBasePrice];
+      state.wire = 300;
+    },
+    lose: {
+      reason: "the plant is out of wire, stock and the funds to buy a spool",
+      isMet: (state) =>
+        state.wire < 1 &&
+        state.inventory < 1 &&
+        state.funds < state.wireCost &&
+        !state.wireContracts.length,
+    },
+  },
+  "luxury-clips": {
+    name: "Luxury Clips",
+    description:
+      "Clips may not be priced below 1.00 cr, but collectors lift base demand sevenfold.",
+    goal: "hold 3,000 cr",
+    progress: (state) => [state.funds, 3000],
+    timeLimit: 25 * 60,
+    rules: { priceFloor: 1 },
+    setup: (state) => {
+      state.pricePerClip = 1;
+      state.demandBoost = 7;
+    },
+  },
+  "no-marketing": {
+    name: "No Marketing",
+    description:
+      "Marketing campaigns are forbidden; demand has to come from price alone.",
+    goal: "sell 10,000 clips",
+    progress: (state) => [state.totalSold, 10000],
+    timeLimit: 45 * 60,
+    rules: { marketing: false },
+  },
+};
+
+const UNLOCKS = [
+  {
+    flag: "marketingUnlocked",
+    isMet: (state) => state.totalSold >= 120,
+    hint: (state) =>
+      `sell 120 clips to unlock marketing (${fmtInteger.format(
+        state.totalSold
+      )}/120 sold)`,
+    message: "Market analytics unlocked. Marketing campaigns now available.",
+  },
+  {
+    flag: "factoryUnlocked",
+    isMet: (state) => state.autoclippers >= 4 && state.totalSold >= 360,
+    hint: (state) =>
+      `run 4 autoclippers and sell 360 clips to unlock factories (${fmtInteger.format(
+        state.autoclippers
+      )}/4 autoclippers, ${fmtInteger.format(state.totalSold)}/360 sold)`,
+    message: "Macro fabrication authorized. Factories can now be constructed.",
+  },
+  {
+    flag: "optimizationUnlocked",
+    isMet: (state) => state.totalSold >= 520,
+    hint: (state) =>
+      `sell 520 clips to unlock optimization (${fmtInteger.format(
+        state.totalSold
+      )}/520 sold)`,
+    message:
+      "Optimization console online. Use `optimize` to enhance efficiency.",
+  },
+  {
+    flag: "trustGranted",
+    isMet: (state) => state.totalSold >= 1200,
+    hint: (state) =>
+      `sell 1,200 clips to earn trust (${fmtInteger.format(
+        state.totalSold
+      )}/1,200 sold)`,
+    message:
+      "Global demand satisfied. Trust increased by 1. Systems operating nominally.",
+    onUnlock: (state) => {
+      state.trust += 1;
+    },
+  },
+  {
+    flag: "jumboUnlocked",
+    isMet: (state) => state.totalSold >= 2500,
+    hint: (state) =>
+      `sell 2,500 clips to unlock jumbo clips (${fmtInteger.format(
+        state.totalSold
+      )}/2,500 sold)`,
+    message:
+      "Jumbo clip tooling online. Use `fabricate jumbo` and `assign` to run the new line.",
+  },
+  {
+    flag: "binderUnlocked",
+    isMet: (state) => state.factories >= 2 && state.totalSold >= 8000,
+    hint: (state) =>
+      `run 2 factories and sell 8,000 clips to unlock binder clips (${fmtInteger.format(
+        state.factories
+      )}/2 factories, ${fmtInteger.format(state.totalSold)}/8,000 sold)`,
+    message:
+      "Binder clip press commissioned. Use `fabricate binder` and `assign` to run the new line.",
+  },
+  {
+    flag: "rebootUnlocked",
+    isMet: (state) => state.totalSold >= REBOOT_MIN_SOLD,
+    hint: (state) =>
+      `sell 25,000 clips to unlock reboots (${fmtInteger.format(
+        state.totalSold
+      )}/25,000 sold)`,
+    message:
+      "Reboot protocol available. `reboot` trades this run for permanent cores; spend them in `reboot shop`.",
+  },
+];
+
+const ACHIEVEMENT_KEY = "paperclipCommand.achievements";
+const ACHIEVEMENT_BAR_WIDTH = 20;
+const ACHIEVEMENTS = [
+  {
+    id: "firstAutoclipper",
+    name: "Hands Off",
+    description: "Deploy your first autoclipper.",
+    progress: (state) => [state.autoclippers, 1],
+  },
+  {
+    id: "firstFactory",
+    name: "Heavy Industry",
+    description: "Construct your first factory.",
+    progress: (state) => [state.factories, 1],
+  },
+  {
+    id: "tenThousandSold",
+    name: "Ten Thousand Served",
+    description: "Sell 10,000 clips.",
+    progress: (state) => [state.totalSold, 10000],
+  },
+  {
+    id: "justInTime",
+    name: "Just in Time",
+    description: "Sell 10,000 clips without ever running out of wire.",
+    progress: (state) => [state.totalSold, 10000],
+    failed: (state) => state.flags.wireDepleted,
+  },
+  {
+    id: "deepPockets",
+    name: "Deep Pockets",
+    description: "Hold 5,000 cr at once.",
+    progress: (state) => [state.funds, 5000],
+  },
+  {
+    id: "marketLeader",
+    name: "Market Leader",
+    description: "Win half of the clip market.",
+    progress: (state) => [state.marketShare * 100, 50],
+  },
+  {
+    id: "labCoat",
+    name: "Lab Coat",
+    description: "Complete 3 research projects.",
+    progress: (state) => [state.research.completed.length, 3],
+  },
+  {
+    id: "trustedOperator",
+    name: "Trusted Operator",
+    description: "Reach trust 10.",
+    progress: (state) => [state.trust, 10],
+  },
+];
+
+const EVENT_GRACE_TICKS = 120;
+const EVENT_CHECK_TICKS = 30;
+const EVENT_CHANCE = 0.15;
+const EFFECT_LABELS = {
+  production: "production",
+  demand: "demand",
+  wirePrice: "wire price",
+  research: "research speed",
+};
+const EVENT_DECK = [
+  {
+    id: "supplier-strike",
+    title: "Supplier Strike",
+    weight: 3,
+    description: "Wire drawers at your main supplier have walked off the job.",
+    options: {
+      a: {
+        label: "Ride it out on the open market",
+        modifiers: [{ stat: "wirePrice", factor: 1.6, duration: 180 }],
+      },
+      b: {
+        label: "Pay a standby supplier to cover",
+        cost: () => 60,
+        modifiers: [{ stat: "wirePrice", factor: 1.15, duration: 180 }],
+      },
+    },
+  },
+  {
+    id: "viral-moment",
+    title: "Viral Marketing Moment",
+    weight: 2,
+    isEligible: (state) => state.flags.marketingUnlocked,
+    description: "A clip sculpture built from your product is trending.",
+    options: {
+      a: {
+        label: "Lean in with a rush campaign",
+        cost: (state) => Math.round(state.marketingCost * 0.5 * 100) / 100,
+        modifiers: [{ stat: "demand", factor: 1.5, duration: 120 }],
+      },
+      b: {
+        label: "Let it spread on its own",
+        modifiers: [{ stat: "demand", factor: 1.2, duration: 60 }],
+      },
+    },
+  },
+  {
+    id: "factory-fire",
+    title: "Factory Fire",
+    weight: 1,
+    isEligible: (state) => state.factories >= 1,
+    description: "An electrical fire has gutted a factory assembly hall.",
+    options: {
+      a: {
+        label: "Rebuild immediately",
+        cost: (state) => Math.round(state.factoryCost * 0.5 * 100) / 100,
+        modifiers: [{ stat: "production", factor: 0.8, duration: 60 }],
+      },
+      b: {
+        label: "Run reduced shifts during repairs",
+        modifiers: [{ stat: "production", factor: 0.6, duration: 240 }],
+      },
+    },
+  },
+  {
+    id: "feeder-jam",
+    title: "Feeder Jam",
+    weight: 3,
+    isEligible: (state) => state.autoclippers >= 1,
+    description: "Wire feeders across the floor are jamming intermittently.",
+    options: {
+      a: {
+        label: "Halt the line and clear it properly",
+        modifiers: [{ stat: "production", factor: 0.5, duration: 30 }],
+      },
+      b: {
+        label: "Keep running and clear jams as they happen",
+        modifiers: [{ stat: "production", factor: 0.85, duration: 180 }],
+      },
+    },
+  },
+  {
+    id: "trade-show",
+    title: "Stationery Trade Show",
+    weight: 2,
+    isEligible: (state) => state.totalSold >= 500,
+    description:
+      "Organizers are offering a last-minute booth at the trade show.",
+    options: {
+      a: {
+        label: "Book the booth",
+        cost: () => 90,
+        modifiers: [{ stat: "demand", factor: 1.3, duration: 300 }],
+      },
+      b: {
+        label: "Skip it this year",
+        modifiers: [],
+      },
+    },
+  },
+  {
+    id: "university-partnership",
+    title: "University Partnership",
+    weight: 1,
+    isEligible: (state) => state.flags.optimizationUnlocked,
+    description: "A materials lab wants access to your production data.",
+    options: {
+      a: {
+        label: "Share the data",
+        outcome: "trust +1",
+        apply: (state) => {
+          state.trust += 1;
+        },
+        modifiers: [{ stat: "research", factor: 1.5, duration: 300 }],
+      },
+      b: {
+        label: "Keep it proprietary",
+        modifiers: [{ stat: "demand", factor: 1.1, duration: 120 }],
+      },
+    },
+  },
+];
+
+const LOAN_BASE_LIMIT = 100;
+const LOAN_LIMIT_PER_REPUTATION = 40;
+const LOAN_LIMIT_PER_TRUST = 120;
+const LOAN_INTEREST_RATE = 0.0005;
+const LOAN_PAYMENT_TICKS = 60;
+const LOAN_MIN_PAYMENT_SHARE = 0.06;
+const LOAN_MIN_PAYMENT = 5;
+const LOAN_LATE_FEE_SHARE = 0.1;
+const LOAN_MISSED_REPUTATION_SHARE = 0.1;
+const LOAN_MISSED_DEMAND_FACTOR = 0.85;
+const LOAN_MISSED_DEMAND_SECONDS = 120;
+
+const WAREHOUSE_CAPACITY = 2000;
+const STORAGE_COST_PER_UNIT = 0.0004;
+const CLEARANCE_RATE = 0.05;
+const CLEARANCE_PRICE_SHARE = 0.3;
+const STANDARD_REFERENCE_PRICE = 0.25;
+const STORAGE_REPORT_TICKS = 15;
+
+const PRICE_MIN = 0.05;
+const PRICE_MAX = 2.5;
+const ANALYZE_PRICE_STEP = 0.05;
+const ANALYZE_CHART_HEIGHT = 6;
+const AUTOPRICE_DEFAULT_TARGET = 500;
+const AUTOPRICE_STEP = 0.01;
+const AUTOPRICE_DEADBAND = 0.1;
+const AUTOPRICE_MIN_BAND = 10;
+
+const METRIC_SAMPLE_TICKS = 5;
+const METRIC_HISTORY_LENGTH = 240;
+const GRAPH_DEFAULT_WINDOW = 300;
+const GRAPH_MAX_COLUMNS = 60;
+const GRAPH_CHART_HEIGHT = 8;
+const TREND_LOOKBACK_SAMPLES = 6;
+const TREND_THRESHOLD = 0.02;
+const TREND_ARROWS = { up: "↑", down: "↓", flat: "→" };
+const SPARK_LEVELS = "▁▂▃▄▅▆▇█";
+const METRIC_SERIES = {
+  funds: {
+    label: "Funds",
+    read: (state) => state.funds,
+    format: (value) => `${fmtDecimal.format(value)} cr`,
+  },
+  inventory: {
+    label: "Inventory",
+    read: (state) => state.inventory,
+    format: (value) => `${fmtInteger.format(value)} clips`,
+  },
+  demand: {
+    label: "Demand index",
+    read: (state) => state.demandIndex,
+    format: (value) => value.toFixed(2),
+  },
+  wire: {
+    label: "Wire",
+    read: (state) => state.wire,
+    format: (value) => fmtInteger.format(value),
+  },
+  production: {
+    label: "Production",
+    read: (state, rate) => rate,
+    format: (value) => `${fmtDecimal.format(value)} clips/s`,
+  },
+};
+
+const STANDARD_PRODUCT = "standard";
+const PRODUCT_LINES = {
+  jumbo: {
+    name: "Jumbo clips",
+    unit: "jumbo clip",
+    flag: "jumboUnlocked",
+    wirePerUnit: 3,
+    referencePrice: 0.75,
+    baseDemand: 0.8,
+    priceSensitivity: 2.2,
+  },
+  binder: {
+    name: "Binder clips",
+    unit: "binder clip",
+    flag: "binderUnlocked",
+    wirePerUnit: 6,
+    referencePrice: 1.2,
+    baseDemand: 0.55,
+    priceSensitivity: 1.1,
+  },
+};
+const AUTOMATION_UNITS = {
+  autoclipper: "autoclippers",
+  autoclippers: "autoclippers",
+  factory: "factories",
+  factories: "factories",
+};
+
+const RESEARCH_PROJECTS = [
+  {
+    id: "wire-drawing",
+    name: "Fine Wire Drawing",
+    description: "Draw thinner wire: +25% wire per spool.",
+    cost: { funds: 220, trust: 0 },
+    duration: 45,
+    requires: [],
+    effect: (state) => {
+      state.wirePerPurchase = Math.round(state.wirePerPurchase * 1.25);
+    },
+  },
+  {
+    id: "clipper-firmware",
+    name: "Clipper Firmware 2.0",
+    description: "Autoclipper output +15%.",
+    cost: { funds: 300, trust: 1 },
+    duration: 60,
+    requires: [],
+    effect: (state) => {
+      state.clipperRate *= 1.15;
+    },
+  },
+  {
+    id: "consumer-psychology",
+    name: "Consumer Psychology",
+    description: "Base demand +15%, before price and stock penalties.",
+    cost: { funds: 450, trust: 1 },
+    duration: 90,
+    requires: [],
+    effect: (state) => {
+      state.demandBoost *= 1.15;
+    },
+  },
+  {
+    id: "spool-recycling",
+    name: "Spool Recycling",
+    description: "Reclaim offcuts: +35% wire per spool.",
+    cost: { funds: 900, trust: 1 },
+    duration: 120,
+    requires: ["wire-drawing"],
+    effect: (state) => {
+      state.wirePerPurchase = Math.round(state.wirePerPurchase * 1.35);
+    },
+  },
+  {
+    id: "modular-plants",
+    name: "Modular Plants",
+    description: "Prefabricated factories: factory prices -20%.",
+    cost: { funds: 800, trust: 2 },
+    duration: 150,
+    requires: ["clipper-firmware"],
+    effect: (state) => {
+      state.factoryCost = Math.round(state.factoryCost * 0.8 * 100) / 100;
+    },
+  },
+  {
+    id: "brand-loyalty",
+    name: "Brand Loyalty Program",
+    description: "Repeat customers: base demand +20%.",
+    cost: { funds: 1500, trust: 2 },
+    duration: 180,
+    requires: ["consumer-psychology"],
+    effect: (state) => {
+      state.demandBoost *= 1.2;
+    },
+  },
+  {
+    id: "supplier-contracts",
+    name: "Supplier Contracts",
+    description: "Negotiated rates: wire spool price -15%.",
+    cost: { funds: 1200, trust: 2 },
+    duration: 150,
+    requires: ["spool-recycling"],
+    effect: (state) => {
+      state.wireBasePrice = Math.round(state.wireBasePrice * 0.85 * 100) / 100;
+      state.wireCost = Math.round(state.wireCost * 0.85 * 100) / 100;
+    },
+  },
+  {
+    id: "lean-assembly",
+    name: "Lean Assembly",
+    description: "Factory output +20% and factory prices -10%.",
+    cost: { funds: 4000, trust: 3 },
+    duration: 300,
+    requires: ["modular-plants", "clipper-firmware"],
+    effect: (state) => {
+      state.factoryRate *= 1.2;
+      state.factoryCost = Math.round(state.factoryCost * 0.9 * 100) / 100;
+    },
+  },
+];
+
+const SAVE_VERSION = 5;
+const SAVE_KEY_PREFIX = "paperclipCommand.save.";
+const DEFAULT_SAVE_SLOT = "main";
+const AUTOSAVE_SLOT = "autosave";
+const AUTOSAVE_INTERVAL_TICKS = 30;
+const SAVE_MIGRATIONS = {
+  1: (data) => ({ ...data, rules: [], nextRuleId: 1 }),
+  2: (data) => ({ ...data, macros: {}, schedules: [], nextScheduleId: 1 }),
+  3: (data) => ({ ...data, commandLog: null }),
+  4: (data) => {
+    const research = (data.state && data.state.research) || {};
+    const negotiated = (research.completed || []).includes(
+      "supplier-contracts"
+    );
+    return {
+      ...data,
+      state: {
+        ...data.state,
+        wireBasePrice: negotiated ? WIRE_BASE_PRICE * 0.85 : WIRE_BASE_PRICE,
+      },
+    };
+  },
+};
+const RULE_DEFAULT_COOLDOWN = 10;
+const RULE_PATTERN =
+  /^when\s+([a-z]+)\s*(<=|>=|==|!=|<|>|=)\s*(-?\d+(?:\.\d+)?)(?:\s+cooldown\s+(\d+)s?)?\s+then\s+(.+)$/;
+const RULE_METRICS = {
+  wire: (state) => state.wire,
+  wireprice: (state) => state.wireCost,
+  share: (state) => state.marketShare * 100,
+  debt: (state) => state.loan.balance,
+  storage: (state) => storedUnits(state),
+  funds: (state) => state.funds,
+  inventory: (state) => state.inventory,
+  demand: (state) => state.demandIndex,
+  price: (state) => state.pricePerClip,
+  sold: (state) => state.totalSold,
+  clips: (state) => state.clipsMade,
+  autoclippers: (state) => state.autoclippers,
+  factories: (state) => state.factories,
+  marketing: (state) => state.marketingLevel,
+  trust: (state) => state.trust,
+};
+const RULE_OPERATORS = {
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "=": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+};
+const MACRO_KEY = "paperclipCommand.macros";
+const MACRO_DEFINE_PATTERN =
+  /^macros?\s+define\s+([a-z][a-z0-9_-]{0,23})\s*\{([\s\S]*)\}$/;
+const SCRIPT_MAX_DEPTH = 8;
+const REPEAT_MAX_COUNT = 100;
+const STATEMENT_BUDGET = 1000;
+const SCHEDULE_MIN_SECONDS = 1;
+const SPEED_OPTIONS = [0.5, 1, 2, 5, 10];
+const STEP_MAX_TICKS = 600;
+const REPLAY_MAX_TICKS = 7 * 24 * 60 * 60;
+
+const TRANSCRIPT_LIMIT = 2000;
+const LOG_SEARCH_LIMIT = 20;
+const LOG_PINNED_CHANNELS = ["OPERATOR", "LOG"];
+const LOG_EXPORT_FORMATS = ["text", "json"];
+
+const OFFLINE_MIN_SECONDS = 5;
+const OFFLINE_MAX_SECONDS = 24 * 60 * 60;
+const OFFLINE_STEP_SECONDS = 10;
+
+const PURCHASE_TARGETS = {
+  autoclipper: {
+    label: "autoclipper",
+    costKey: "clipperCost",
+    stockKey: "autoclippers",
+    stockPerUnit: () => 1,
+    buy: (game, count) => game.buyAutoclipper(count),
+  },
+  factory: {
+    label: "factory",
+    costKey: "factoryCost",
+    stockKey: "factories",
+    stockPerUnit: () => 1,
+    buy: (game, count) => game.buyFactory(count),
+  },
+  warehouse: {
+    label: "warehouse",
+    costKey: "warehouseCost",
+    stockKey: "warehouses",
+    stockPerUnit: () => 1,
+    buy: (game, count) => game.buyWarehouse(count),
+  },
+  wire: {
+    label: "wire spool",
+    costKey: "wireCost",
+    stockKey: "wire",
+    stockPerUnit: (state) => state.wirePerPurchase,
+    buy: (game, count) => game.buyWire(count),
+  },
+};
+const BUY_QUANTITY_DETAIL =
+  "Quantity may be a number, `max` (all affordable), `until <n>` (stop once holdings reach n) or `budget <cr>` (spend at most cr).";
+
+const COMMANDS = [
+  {
+    name: "fabricate",
+    args: "[product]",
+    help: "manually create paperclips or another unlocked product",
+    details: [
+      "Turns wire into clips by hand. Output per command equals manual efficiency, which rises with every `optimize`.",
+      "Jumbo and binder clips use more wire per unit once their lines are unlocked.",
+    ],
+    examples: ["fabricate", "fabricate jumbo", "repeat 5 fabricate"],
+    completions: { product: (game) => game.unlockedProducts() },
+    handler: (game, [product]) => game.manualFabricate(product),
+    quickAction: {
+      label: "Fabricate Clip",
+      disabled: (game) => !game.canFabricate(),
+    },
+  },
+  {
+    name: "buy autoclipper",
+    aliases: ["buy autoclippers"],
+    args: "[<n>|max|until <n>|budget <cr>]",
+    help: "add automated clippers",
+    details: [
+      "Autoclippers fabricate clips every second while wire remains. Each purchase raises the next unit's price by 14%.",
+      "Requires wire in reserve. Quantities beyond available funds are trimmed.",
+      BUY_QUANTITY_DETAIL,
+    ],
+    examples: ["buy autoclipper", "buy autoclipper 3", "buy autoclipper max"],
+    cost: (game) =>
+      `${fmtDecimal.format(game.state.clipperCost)} cr per autoclipper`,
+    completions: {
+      n: (game) => game.quantityCompletions("clipperCost"),
+    },
+    hints: { n: (game) => game.quantityHint("clipperCost") },
+    handler: (game, args, context) =>
+      game.handlePurchase("autoclipper", args, context),
+    quickAction: {
+      label: "Deploy Autoclipper",
+      visible: (game) => game.state.clipsMade >= 5,
+      disabled: (game) => !game.canBuyAutoclipper(),
+    },
+  },
+  {
+    name: "buy factory",
+    aliases: ["buy factories"],
+    args: "[<n>|max|until <n>|budget <cr>]",
+    help: "build factories",
+    details: [
+      "Factories are high-volume fabrication plants. Each purchase raises the next factory's price by 18%.",
+      "Requires at least 3 autoclippers on site.",
+      BUY_QUANTITY_DETAIL,
+    ],
+    examples: ["buy factory", "buy factory 2", "buy factory budget 2000"],
+    cost: (game) =>
+      `${fmtDecimal.format(game.state.factoryCost)} cr per factory`,
+    requires: "factoryUnlocked",
+    completions: {
+      n: (game) => game.quantityCompletions("factoryCost"),
+    },
+    hints: { n: (game) => game.quantityHint("factoryCost") },
+    handler: (game, args, context) =>
+      game.handlePurchase("factory", args, context),
+    quickAction: {
+      label: "Construct Factory",
+      disabled: (game) => !game.canBuyFactory(),
+    },
+  },
+  {
+    name: "buy wire",
+    aliases: ["buy wires"],
+    args: "[<n>|max|until <n>|budget <cr>]",
+    help: "restock wire spools",
+    details: [
+      "Each spool adds a fixed length of wire. Every spool bought pushes the market price up; it drifts back toward its base over time.",
+      BUY_QUANTITY_DETAIL,
+    ],
+    examples: [
+      "buy wire",
+      "buy wire 4",
+      "buy wire until 5000",
+      "when wire < 200 then buy wire 3",
+    ],
+    cost: (game) =>
+      `${fmtDecimal.format(game.state.wireCost)} cr per spool (${fmtInteger.format(
+        game.state.wirePerPurchase
+      )} wire)`,
+    completions: {
+      n: (game) => game.quantityCompletions("wireCost"),
+    },
+    hints: { n: (game) => game.quantityHint("wireCost") },
+    handler: (game, args, context) =>
+      game.handlePurchase("wire", args, context),
+    quickAction: {
+      label: "Procure Wire",
+      disabled: (game) => !game.canBuyWire(),
+    },
+  },
+  {
+    name: "buy warehouse",
+    aliases: ["buy warehouses"],
+    args: "[<n>|max|until <n>|budget <cr>]",
+    help: "add storage capacity for finished goods",
+    details: [
+      `Each warehouse stores ${fmtInteger.format(WAREHOUSE_CAPACITY)} units. Stock costs upkeep every tick, and anything over capacity is dumped at ${
+        CLEARANCE_PRICE_SHARE * 100
+      }% of the going rate.`,
+      "Jumbo and binder clips take as much space as the wire they use.",
+      BUY_QUANTITY_DETAIL,
+    ],
+    examples: ["buy warehouse", "buy warehouse until 3"],
+    cost: (game) =>
+      `${fmtDecimal.format(game.state.warehouseCost)} cr per warehouse`,
+    completions: {
+      n: (game) => game.quantityCompletions("warehouseCost"),
+    },
+    hints: { n: (game) => game.quantityHint("warehouseCost") },
+    handler: (game, args, context) =>
+      game.handlePurchase("warehouse", args, context),
+  },
+  {
+    name: "confirm",
+    help: "approve the pending bulk purchase",
+    handler: (game) => game.confirmPurchase(),
+  },
+  {
+    name: "cancel",
+    help: "discard the pending bulk purchase",
+    handler: (game) => game.cancelPurchase(),
+  },
+  {
+    name: "market wire",
+    aliases: ["market"],
+    help: "show the wire market price history and open contracts",
+    details: [
+      `The spot price wanders around a base price and is sampled every ${WIRE_SAMPLE_TICKS} ticks.`,
+    ],
+    handler: (game) => game.showWireMarket(),
+  },
+  {
+    name: "market share",
+    help: "compare prices, marketing and market share with rival firms",
+    details: [
+      `Share follows price and marketing reach. Rivals reprice every ${RIVAL_UPDATE_TICKS} ticks and may undercut you; firms that run out of money leave the market.`,
+    ],
+    handler: (game) => game.showMarketShare(),
+  },
+  {
+    name: "contract wire",
+    args: "<spools> <price> <ticks>",
+    help: "lock in a future wire delivery at a fixed price per spool",
+    details: [
+      `The supplier accepts offers at or above its forward quote. A ${
+        WIRE_CONTRACT_DEPOSIT * 100
+      }% deposit is paid now and the balance on delivery; missing the balance forfeits the deposit.`,
+    ],
+    examples: ["contract wire 5 17.5 120"],
+    hints: {
+      price: (game) =>
+        `forward quote ${fmtDecimal.format(
+          game.quoteWireForward(60)
+        )} cr per spool for delivery in 60 ticks`,
+    },
+    handler: (game, args) => game.contractWire(args),
+  },
+  {
+    name: "launch marketing",
+    help: "boost demand",
+    details: [
+      "Each campaign adds a permanent marketing level, raising demand by 35% of base. Campaign budgets grow 42% per launch.",
+    ],
+    examples: ["launch marketing"],
+    cost: (game) =>
+      `${fmtDecimal.format(game.state.marketingCost)} cr per campaign`,
+    requires: "marketingUnlocked",
+    handler: (game) => game.launchMarketing(),
+    quickAction: {
+      label: "Launch Marketing",
+      disabled: (game) => !game.canLaunchMarketing(),
+    },
+  },
+  {
+    name: "set price",
+    args: "[product] <value>",
+    help: "set an exact price",
+    details: [
+      "Price must stay between 0.05 and 2.50. Higher prices earn more per clip but suppress demand, sharply above 0.50.",
+      "Name a product to price jumbo or binder clips; each line has its own demand curve.",
+    ],
+    examples: ["set price 0.30", "set price binder 1.20"],
+    completions: { product: (game) => game.unlockedProducts() },
+    handler: (game, args) =>
+      args.length > 1
+        ? game.setPrice(parseFloat(args[1]), args[0])
+        : game.setPrice(parseFloat(args[0])),
+  },
+  {
+    name: "analyze price",
+    help: "chart projected demand and revenue across the price range",
+    details: [
+      "Runs the demand model at every price from 0.05 to 2.50 without market noise and marks the revenue-maximizing price.",
+    ],
+    handler: (game) => game.analyzePrice(),
+  },
+  {
+    name: "autoprice on",
+    args: "[target]",
+    help: "let a controller move the clip price to hold inventory near a target",
+    details: [
+      `The price rises while stock is below target and falls while it is above. Default target ${fmtInteger.format(
+        AUTOPRICE_DEFAULT_TARGET
+      )} clips. Setting a price by hand turns it off.`,
+    ],
+    examples: ["autoprice on", "autoprice on 1200"],
+    handler: (game, [target]) => game.setAutoprice(true, target),
+  },
+  {
+    name: "autoprice off",
+    help: "return to manual pricing",
+    handler: (game) => game.setAutoprice(false),
+  },
+  {
+    name: "autoprice status",
+    aliases: ["autoprice"],
+    help: "show the autoprice target and current inventory",
+    handler: (game) => game.autopriceStatus(),
+  },
+  {
+    name: "graph",
+    args: "[metric] [window]",
+    help: "chart a metric's recent history, or sparkline every metric",
+    details: [
+      `Funds, inventory, demand, wire and production rate are sampled every ${METRIC_SAMPLE_TICKS} ticks; the last ${fmtInteger.format(
+        METRIC_HISTORY_LENGTH * METRIC_SAMPLE_TICKS
+      )} ticks are kept.`,
+      `The window is measured in ticks and defaults to ${GRAPH_DEFAULT_WINDOW}.`,
+    ],
+    examples: ["graph", "graph funds", "graph inventory 600"],
+    completions: { metric: () => Object.keys(METRIC_SERIES) },
+    handler: (game, args) => game.showGraph(args),
+  },
+  {
+    name: "optimize",
+    help: "tune systems for better throughput",
+    details: [
+      "Raises manual efficiency by 1, autoclipper output by 8%, factory output by 4% and trust by 1. Each calibration costs 55% more than the last.",
+    ],
+    examples: ["optimize"],
+    cost: (game) =>
+      `${fmtDecimal.format(game.state.optimizeCost)} cr per calibration`,
+    requires: "optimizationUnlocked",
+    handler: (game) => game.optimize(),
+    quickAction: {
+      label: "Calibrate Systems",
+      disabled: (game) => !game.canOptimize(),
+    },
+  },
+  {
+    name: "loan request",
+    args: "<amount>",
+    help: "borrow funds against your credit line",
+    details: [
+      `Credit limit grows with reputation and trust. Interest accrues every tick and a minimum payment is collected every ${LOAN_PAYMENT_TICKS} ticks.`,
+      "A missed payment adds a late fee and costs reputation and demand.",
+    ],
+    examples: ["loan request 150"],
+    hints: {
+      amount: (game) =>
+        `${fmtDecimal.format(game.availableCredit())} cr of credit available`,
+    },
+    handler: (game, [amount]) => game.requestLoan(amount),
+  },
+  {
+    name: "loan repay",
+    args: "<amount|all>",
+    help: "pay down the outstanding loan balance",
+    details: ["Repayments count toward the current period's minimum payment."],
+    examples: ["loan repay 50", "loan repay all"],
+    handler: (game, [amount]) => game.repayLoan(amount),
+  },
+  {
+    name: "loan status",
+    aliases: ["loan"],
+    help: "show balance, credit limit, interest and the next payment",
+    handler: (game) => game.loanStatus(),
+  },
+  {
+    name: "research list",
+    aliases: ["research"],
+    help: "show the research tree and project status",
+    details: [
+      "Projects cost funds and trust, take time to complete and permanently improve wire yield, factory costs or demand.",
+    ],
+    requires: "optimizationUnlocked",
+    handler: (game) => game.listResearch(),
+  },
+  {
+    name: "research start",
+    args: "<id>",
+    help: "fund a research project and begin work",
+    details: [
+      "Costs are paid up front. Prerequisites must be complete or already in the pipeline. If the lab is busy the project joins the queue.",
+    ],
+    examples: ["research start wire-drawing"],
+    requires: "optimizationUnlocked",
+    completions: { id: (game) => game.availableResearchIds() },
+    handler: (game, [id]) => game.startResearch(id),
+  },
+  {
+    name: "research queue",
+    args: "[id]",
+    help: "show the research queue, or fund a project and queue it",
+    examples: ["research queue", "research queue spool-recycling"],
+    requires: "optimizationUnlocked",
+    completions: { id: (game) => game.availableResearchIds() },
+    handler: (game, [id]) =>
+      id ? game.startResearch(id) : game.showResearchQueue(),
+  },
+  {
+    name: "choose",
+    args: "<a|b>",
+    help: "answer the pending event",
+    details: [
+      "Events pause the simulation until you pick an option. Options may cost funds up front and add timed effects.",
+    ],
+    examples: ["choose a"],
+    handler: (game, [option]) => game.chooseEventOption(option),
+  },
+  {
+    name: "effects",
+    help: "list active event effects and their expiry timers",
+    handler: (game) => game.listEffects(),
+  },
+  {
+    name: "buttons",
+    args: "<on|off>",
+    help: "enable or disable quick action buttons",
+    examples: ["buttons off", "buttons on"],
+    handler: (game, [value]) => game.handleButtonsCommand(value),
+  },
+  {
+    name: "achievements",
+    help: "list achievements with progress toward each",
+    details: [
+      "Achievements are checked every tick and stored apart from save slots, so they survive `reset`, `seed` and loading older saves.",
+    ],
+    record: false,
+    handler: (game) => game.listAchievements(),
+  },
+  {
+    name: "log status",
+    aliases: ["log"],
+    help: "show log filters, muted channels and transcript size",
+    record: false,
+    handler: (game) => game.logStatus(),
+  },
+  {
+    name: "log filter",
+    args: "[channel...|all]",
+    help: "show only the named channels in the console",
+    details: [
+      "Hidden lines stay in the transcript and reappear when the filter is lifted. Operator input and LOG replies are always shown.",
+    ],
+    examples: ["log filter MARKET RIVAL", "log filter all"],
+    record: false,
+    completions: { channel: (game) => game.knownChannels() },
+    handler: (game, channels) => game.setLogFilter(channels),
+  },
+  {
+    name: "log mute",
+    args: "<channel...>",
+    help: "hide noisy channels from the console",
+    examples: ["log mute HEARTBEAT", "log mute HEARTBEAT AUTOMATION"],
+    record: false,
+    completions: { channel: (game) => game.knownChannels() },
+    handler: (game, channels) => game.muteChannels(channels, true),
+  },
+  {
+    name: "log unmute",
+    args: "[channel...]",
+    help: "show muted channels again, or every channel when none is named",
+    examples: ["log unmute HEARTBEAT", "log unmute"],
+    record: false,
+    completions: { channel: (game) => game.logView.muted },
+    handler: (game, channels) => game.muteChannels(channels, false),
+  },
+  {
+    name: "log search",
+    args: "<text>",
+    help: "list transcript lines containing the text",
+    details: [
+      `Matching is case-insensitive across channel names and messages. The newest ${LOG_SEARCH_LIMIT} matches are shown.`,
+    ],
+    examples: ["log search undercut", "log search wire"],
+    record: false,
+    handler: (game, words) => game.searchLog(words.join(" ")),
+  },
+  {
+    name: "log clear",
+    help: "empty the console and the session transcript",
+    record: false,
+    handler: (game) => game.clearLog(),
+  },
+  {
+    name: "log export",
+    args: "[text|json]",
+    help: "download the session transcript with timestamps",
+    details: [
+      `The transcript keeps the last ${fmtInteger.format(
+        TRANSCRIPT_LIMIT
+      )} lines, including lines hidden by filters.`,
+    ],
+    examples: ["log export", "log export json"],
+    record: false,
+    completions: { "text|json": () => LOG_EXPORT_FORMATS },
+    handler: (game, [format]) => game.exportLog(format),
+  },
+  {
+    name: "pause",
+    help: "freeze the simulation clock",
+    record: false,
+    handler: (game) => game.pauseSimulation(),
+  },
+  {
+    name: "resume",
+    help: "restart the simulation clock after a pause",
+    record: false,
+    handler: (game) => game.resumeSimulation(),
+  },
+  {
+    name: "speed",
+    args: "[multiplier]",
+    help: "show or change how fast the simulation runs",
+    details: [
+      "Each tick is still one simulated second; faster speeds just run more ticks per real second.",
+    ],
+    examples: ["speed", "speed 5"],
+    record: false,
+    completions: {
+      multiplier: () => SPEED_OPTIONS.map(String),
+    },
+    handler: (game, [speed]) => game.setSpeed(speed),
+  },
+  {
+    name: "step",
+    args: "[n]",
+    help: "advance a paused simulation by n ticks",
+    examples: ["step", "step 30"],
+    record: false,
+    handler: (game, [count]) => game.stepSimulation(count),
+  },
+  {
+    name: "status",
+    help: "print current production metrics",
+    handler: (game) => game.status(),
+  },
+  {
+    name: "status products",
+    help: "list every product line with stock, price, demand and assigned automation",
+    handler: (game) => game.showProducts(),
+  },
+  {
+    name: "assign",
+    args: "<autoclipper|factory> <n> <product>",
+    help: "dedicate automation units to a product line",
+    details: [
+      "Sets how many units of that type work the named line. Every unassigned unit keeps making standard clips; assign 0 to release a line's units.",
+    ],
+    examples: ["assign autoclipper 3 jumbo", "assign factory 0 binder"],
+    requires: "jumboUnlocked",
+    completions: { product: (game) => game.unlockedProducts() },
+    handler: (game, args) => game.assignAutomation(args),
+  },
+  {
+    name: "save",
+    args: "[slot]",
+    help: "write the session to a named save slot",
+    details: [
+      "Slot names use letters, digits, '-' and '_'. The session also autosaves every 30 seconds.",
+    ],
+    examples: ["save", "save before-factories"],
+    completions: {
+      slot: (game) => game.listSlots().map(({ slot }) => slot),
+    },
+    handler: (game, [slot]) => game.saveGame(slot),
+  },
+  {
+    name: "load",
+    args: "[slot]",
+    help: "restore a save slot (latest save by default)",
+    examples: ["load", "load before-factories"],
+    completions: {
+      slot: (game) => game.listSlots().map(({ slot }) => slot),
+    },
+    record: false,
+    handler: (game, [slot]) => game.loadGame(slot),
+  },
+  {
+    name: "saves",
+    help: "list stored save slots",
+    handler: (game) => game.listSaves(),
+  },
+  {
+    name: "reset",
+    args: "[confirm]",
+    help: "wipe the session and start over",
+    details: ["Named save slots are kept. Run without `confirm` to preview."],
+    examples: ["reset confirm"],
+    completions: { confirm: () => ["confirm"] },
+    record: false,
+    handler: (game, [confirmArg]) => game.resetGame(confirmArg === "confirm"),
+  },
+  {
+    name: "tutorial",
+    help: "start the guided tutorial or repeat the current objective",
+    details: [
+      "Walks through fabricating, pricing, buying wire and deploying an autoclipper. Each objective advances as soon as it is met.",
+    ],
+    record: false,
+    handler: (game) => game.showTutorial(),
+  },
+  {
+    name: "tutorial skip",
+    help: "leave the tutorial",
+    record: false,
+    handler: (game) => game.skipTutorial(),
+  },
+  {
+    name: "tutorial restart",
+    help: "begin the tutorial again from the first objective",
+    record: false,
+    handler: (game) => game.startTutorial(),
+  },
+  {
+    name: "scenario list",
+    aliases: ["scenarios"],
+    help: "show preset challenges, their goals and best times",
+    record: false,
+    handler: (game) => game.listScenarios(),
+  },
+  {
+    name: "scenario start",
+    args: "<id> [confirm]",
+    help: "restart the session as a timed challenge",
+    details: [
+      "Each scenario overrides parts of the starting state and adds a goal, a time limit and sometimes a lose condition. Winning times go to the local scoreboard.",
+    ],
+    examples: ["scenario start wire-famine confirm"],
+    completions: {
+      id: () => Object.keys(SCENARIOS),
+      confirm: () => ["confirm"],
+    },
+    record: false,
+    handler: (game, args) => game.startScenario(args),
+  },
+  {
+    name: "scenario status",
+    aliases: ["scenario"],
+    help: "show progress and time left in the current scenario",
+    record: false,
+    handler: (game) => game.scenarioStatus(),
+  },
+  {
+    name: "scenario scores",
+    args: "[id]",
+    help: "list the fastest completion times per scenario",
+    record: false,
+    completions: { id: () => Object.keys(SCENARIOS) },
+    handler: (game, [id]) => game.showScoreboard(id),
+  },
+  {
+    name: "reboot",
+    args: "[confirm]",
+    help: "end this run in exchange for permanent cores",
+    details: [
+      "Cores earned grow with the square root of clips sold. Cores, shop upgrades and achievements carry over; everything else starts fresh.",
+    ],
+    examples: ["reboot", "reboot confirm"],
+    requires: "rebootUnlocked",
+    completions: { confirm: () => ["confirm"] },
+    record: false,
+    handler: (game, [confirmArg]) => game.reboot(confirmArg === "confirm"),
+  },
+  {
+    name: "reboot shop",
+    help: "list permanent upgrades bought with cores",
+    record: false,
+    handler: (game) => game.showRebootShop(),
+  },
+  {
+    name: "reboot buy",
+    args: "<upgrade>",
+    help: "spend cores on a permanent upgrade for future runs",
+    examples: ["reboot buy funds", "reboot buy clippers"],
+    record: false,
+    completions: { upgrade: () => Object.keys(REBOOT_UPGRADES) },
+    handler: (game, [id]) => game.buyUpgrade(id),
+  },
+  {
+    name: "seed",
+    args: "[n] [confirm]",
+    help: "show the run seed, or restart the session with a fixed seed",
+    details: [
+      "Seeded runs are deterministic: the same seed and command log always produce the same run.",
+    ],
+    examples: ["seed", "seed 1234 confirm"],
+    record: false,
+    completions: { confirm: () => ["confirm"] },
+    handler: (game, args) => game.handleSeedCommand(args),
+  },
+  {
+    name: "replay",
+    aliases: ["replay verify"],
+    help: "rebuild the current run from its seed and command log",
+    details: [
+      "Re-simulates every tick from the seed, re-issuing recorded operator commands, and reports whether the result matches.",
+    ],
+    record: false,
+    handler: (game) => game.verifyReplay(),
+  },
+  {
+    name: "replay export",
+    help: "print the seed and command log as JSON",
+    record: false,
+    handler: (game) => game.exportReplay(),
+  },
+  {
+    name: "replay import",
+    args: "<json>",
+    help: "replace the session with a run rebuilt from exported JSON",
+    examples: ['replay import {"seed":1234,"ticks":90,"commands":[...]}'],
+    record: false,
+    handler: (game, args, { input }) => game.importReplay(input),
+  },
+  {
+    name: "when",
+    args: "<metric> <op> <value> [cooldown <s>] then <command>",
+    help: "arm an automation rule",
+    details: [
+      `Metrics: ${Object.keys(RULE_METRICS).join(", ")}.`,
+      "Operators: <, <=, >, >=, =, !=. Rules are checked every tick and wait out their cooldown (default 10s) between firings.",
+    ],
+    examples: [
+      "when wire < 200 then buy wire 3",
+      "when funds > 500 cooldown 30 then buy autoclipper",
+    ],
+    completions: {
+      metric: () => Object.keys(RULE_METRICS),
+      op: () => Object.keys(RULE_OPERATORS),
+    },
+    handler: (game, args, { input }) => game.addRule(input),
+  },
+  {
+    name: "rules list",
+    aliases: ["rules"],
+    help: "show armed automation rules",
+    handler: (game) => game.listRules(),
+  },
+  {
+    name: "rules delete",
+    aliases: ["rules remove"],
+    args: "<id>",
+    help: "disarm an automation rule",
+    examples: ["rules delete 2"],
+    completions: { id: (game) => game.rules.map((rule) => String(rule.id)) },
+    handler: (game, [id]) => game.deleteRule(id),
+  },
+  {
+    name: "macro define",
+    aliases: ["macros define"],
+    args: "<name> { command; ... }",
+    help: "record a reusable command sequence",
+    details: [
+      "Macros are saved with the session. Run one with `macro run <name>` or by typing its name.",
+    ],
+    examples: ["macro define opener { fabricate; buy wire; buy autoclipper }"],
+    handler: (game, args, { input }) => game.defineMacro(input),
+  },
+  {
+    name: "macro list",
+    aliases: ["macro", "macros", "macros list"],
+    help: "show recorded macros",
+    handler: (game) => game.listMacros(),
+  },
+  {
+    name: "macro run",
+    args: "<name>",
+    help: "run a macro (or type its name)",
+    completions: { name: (game) => Object.keys(game.macros) },
+    handler: (game, [name], { depth }) => game.runMacro(name, depth),
+  },
+  {
+    name: "macro delete",
+    aliases: ["macro remove"],
+    args: "<name>",
+    help: "forget a macro",
+    completions: { name: (game) => Object.keys(game.macros) },
+    handler: (game, [name]) => game.deleteMacro(name),
+  },
+  {
+    name: "repeat",
+    args: "<n> <command>",
+    help: "run a command n times",
+    details: [
+      `Count must be between 1 and ${REPEAT_MAX_COUNT}. Wrap several commands in braces.`,
+    ],
+    examples: ["repeat 5 fabricate", "repeat 2 { buy wire; buy autoclipper }"],
+    handler: (game, args, { depth }) => game.repeatCommand(args, depth),
+  },
+  {
+    name: "every",
+    args: "<seconds>s <command>",
+    help: "run a command on a timer",
+    details: ["Timers are saved with the session and run on the game clock."],
+    examples: ["every 30s buy wire", "every 60s opener"],
+    handler: (game, args) => game.addSchedule(args),
+  },
+  {
+    name: "every list",
+    help: "show active timers",
+    handler: (game) => game.listSchedules(),
+  },
+  {
+    name: "every cancel",
+    aliases: ["every stop"],
+    args: "<id>",
+    help: "stop a timer",
+    completions: {
+      id: (game) => game.schedules.map((schedule) => String(schedule.id)),
+    },
+    handler: (game, [id]) => game.cancelSchedule(id),
+  },
+  {
+    name: "help",
+    args: "[command]",
+    help: "show this reference, or the manual page for a command",
+    examples: ["help", "help buy", "help optimize"],
+    completions: {
+      command: () => [
+        ...new Set(COMMANDS.map((command) => command.name.split(" ")[0])),
+      ],
+    },
+    handler: (game, topic) => game.help(topic),
+  },
+];
+
+const COMMAND_PATHS = COMMANDS.flatMap((command) =>
+  [command.name, ...(command.aliases || [])].map((path) => ({
+    words: path.split(" "),
+    command,
+  }))
+).sort((a, b) => b.words.length - a.words.length);
+
+const RESERVED_COMMANDS = new Set(COMMAND_PATHS.map((path) => path.words[0]));
+
+function parseArgGrammar(args) {
+  const tokens = [];
+  let current = "";
+  let depth = 0;
+  for (const char of args || "") {
+    if (char === " " && depth === 0) {
+      if (current) {
+        tokens.push(current);
+      }
+      current = "";
+      continue;
+    }
+    if (char === "<" || char === "[") {
+      depth += 1;
+    } else if (char === ">" || char === "]") {
+      depth = Math.max(0, depth - 1);
+    }
+    current += char;
+  }
+  if (current) {
+    tokens.push(current);
+  }
+  return tokens.map(parseArgSlot);
+}
+
+function grammarSlot(args, index) {
+  const slots = parseArgGrammar(args);
+  const last = slots[slots.length - 1];
+  return index >= slots.length && last && last.variadic ? last : slots[index];
+}
+
+function parseArgSlot(token) {
+  const wrapped = token.match(/^[<[](.*)[>\]]$/);
+  if (!wrapped) {
+    return { literal: token };
+  }
+
+  const alternatives = wrapped[1].split("|");
+  const single =
+    alternatives.length === 1 && alternatives[0].match(/^([a-z-]+)(\.\.\.)?$/);
+  if (single) {
+    return { name: single[1], choices: [], variadic: Boolean(single[2]) };
+  }
+
+  const slot = { name: null, choices: [], variadic: false };
+  alternatives.forEach((alternative) => {
+    const [word] = alternative.split(" ");
+    const placeholder = word.match(/^<([a-z-]+)>$/);
+    const repeated = word.match(/^([a-z-]+)\.\.\.$/);
+    if (placeholder) {
+      slot.name = placeholder[1];
+    } else if (repeated) {
+      slot.name = repeated[1];
+      slot.variadic = true;
+    } else if (/^[a-z]+$/.test(word)) {
+      slot.choices.push(word);
+    }
+  });
+  return slot;
+}
+
+function editDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) =>
+    Array.from({ length: b.length + 1 }, (_, j) =>
+      i === 0 ? j : j === 0 ? i : 0
+    )
+  );
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(
+        rows[i - 1][j] + 1,
+        rows[i][j - 1] + 1,
+        rows[i - 1][j - 1] + substitution
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+function plotChart(values, height, marker = "*") {
+  const high = Math.max(...values);
+  const low = Math.min(...values);
+  const span = high - low || 1;
+  const labels = [];
+  for (let row = height - 1; row >= 0; row--) {
+    labels.push(fmtDecimal.format(low + (span * row) / (height - 1)));
+  }
+  const width = Math.max(
+    CHART_LABEL_WIDTH,
+    ...labels.map((label) => label.length)
+  );
+  const rows = labels.map((label, index) => {
+    const row = height - 1 - index;
+    const cells = values
+      .map((value) =>
+        Math.round(((value - low) / span) * (height - 1)) === row ? marker : " "
+      )
+      .join("");
+    return `${label.padStart(width)} |${cells}`;
+  });
+  rows.push(`${" ".repeat(width)} +${"-".repeat(values.length)}`);
+  return rows;
+}
+
+function sparkline(values) {
+  const high = Math.max(...values);
+  const low = Math.min(...values);
+  const span = high - low || 1;
+  return values
+    .map(
+      (value) =>
+        SPARK_LEVELS[
+          Math.round(((value - low) / span) * (SPARK_LEVELS.length - 1))
+        ]
+    )
+    .join("");
+}
+
+function downsample(values, columns) {
+  if (values.length <= columns) {
+    return values;
+  }
+  const size = values.length / columns;
+  return Array.from({ length: columns }, (_, column) => {
+    const bucket = values.slice(
+      Math.floor(column * size),
+      Math.floor((column + 1) * size)
+    );
+    return bucket.reduce((total, value) => total + value, 0) / bucket.length;
+  });
+}
+
+function nearestMatches(word, candidates) {
+  const threshold = Math.max(1, Math.floor(word.length / 3));
+  return [...new Set(candidates)]
+    .map((candidate) => ({
+      candidate,
+      distance: editDistance(word, candidate),
+    }))
+    .filter(({ distance }) => distance <= threshold)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, SUGGESTION_LIMIT)
+    .map(({ candidate }) => candidate);
+}
+
+function getStorage() {
+  try {
+    return globalThis.localStorage || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function randomSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
+
+function storedUnits(state) {
+  return Object.entries(PRODUCT_LINES).reduce(
+    (total, [productId, line]) =>
+      total + state.products[productId].inventory * line.wirePerUnit,
+    state.inventory
+  );
+}
+
+function createInitialState(
+  seed = randomSeed(),
+  upgrades = {},
+  scenarioId = null
+) {
+  const state = {
+    seed,
+    rngState: seed,
+    secondsElapsed: 0,
+    clipsMade: 0,
+    inventory: 0,
+    totalSold: 0,
+    funds: 28,
+    pricePerClip: 0.25,
+    marketingLevel: 0,
+    trust: 0,
+    wire: 650,
+    wirePerPurchase: 650,
+    wireCost: WIRE_BASE_PRICE,
+    wireBasePrice: WIRE_BASE_PRICE,
+    wireHistory: [WIRE_BASE_PRICE],
+    wireContracts: [],
+    nextContractId: 1,
+    products: Object.fromEntries(
+      Object.entries(PRODUCT_LINES).map(([id, line]) => [
+        id,
+        {
+          inventory: 0,
+          made: 0,
+          sold: 0,
+          price: line.referencePrice,
+          demand: 0,
+          productionCarry: 0,
+          sellCarry: 0,
+        },
+      ])
+    ),
+    assignments: Object.fromEntries(
+      Object.keys(PRODUCT_LINES).map((id) => [
+        id,
+        { autoclippers: 0, factories: 0 },
+      ])
+    ),
+    loan: {
+      balance: 0,
+      interestAccrued: 0,
+      paidThisPeriod: 0,
+      nextDueAt: null,
+      missedPayments: 0,
+    },
+    metricHistory: Object.fromEntries(
+      Object.keys(METRIC_SERIES).map((metric) => [metric, []])
+    ),
+    productionMark: null,
+    autoprice: {
+      enabled: false,
+      target: AUTOPRICE_DEFAULT_TARGET,
+      lastInventory: 0,
+    },
+    pendingEvent: null,
+    effects: [],
+    rivals: RIVAL_FIRMS.map((rival) => ({ ...rival, bankrupt: false })),
+    marketShare: 1 / (RIVAL_FIRMS.length + 1),
+    autoclippers: 0,
+    factories: 0,
+    clipperCost: 18,
+    factoryCost: 420,
+    marketingCost: 140,
+    optimizeCost: 160,
+    warehouses: 1,
+    warehouseCost: 250,
+    manualEfficiency: 1,
+    clipperRate: 1.8,
+    factoryRate: 55,
+    demandIndex: 0,
+    demandBoost: 1,
+    reputation: 0,
+    research: {
+      active: null,
+      queue: [],
+      completed: [],
+    },
+    flags: {
+      marketingUnlocked: false,
+      factoryUnlocked: false,
+      optimizationUnlocked: false,
+      trustGranted: false,
+      jumboUnlocked: false,
+      binderUnlocked: false,
+      wireWarningShown: false,
+      wireDepleted: false,
+      storageWarningShown: false,
+      rebootUnlocked: false,
+      priceSet: false,
+      wirePurchased: false,
+    },
+    upgrades: { ...upgrades },
+    scenario: null,
+  };
+  Object.entries(REBOOT_UPGRADES).forEach(([id, upgrade]) => {
+    if (upgrades[id]) {
+      upgrade.apply(state, upgrades[id]);
+    }
+  });
+  const scenario = SCENARIOS[scenarioId];
+  if (scenario) {
+    if (scenario.setup) {
+      scenario.setup(state);
+    }
+    state.scenario = {
+      id: scenarioId,
+      endsAt: scenario.timeLimit,
+      status: "active",
+      finishedAt: null,
+    };
+  }
+  return state;
+}
+
+class PaperclipCommand {
+  constructor({ storage = getStorage() } = {}) {
+    this.loopMs = 1000;
+    this.storage = storage;
+    this.meta = {
+      cores: 0,
+      reboots: 0,
+      upgrades: {},
+      ...this.readStored(REBOOT_KEY),
+    };
+    this.state = createInitialState(randomSeed(), this.meta.upgrades);
+
+    this.listeners = {};
+    this.productionCarry = 0;
+    this.sellCarry = 0;
+    this.tickTimer = null;
+    this.tickCount = 0;
+    this.speed = 1;
+    this.paused = false;
+    this.pausedForEvent = false;
+    this.running = false;
+    this.buttonsEnabled = true;
+    this.silent = false;
+    this.suspendedAt = null;
+    this.rules = [];
+    this.nextRuleId = 1;
+    this.macros = this.readStored(MACRO_KEY) || {};
+    this.schedules = [];
+    this.nextScheduleId = 1;
+    this.statementsLeft = STATEMENT_BUDGET;
+    this.budgetExhausted = false;
+    this.operatorCommandActive = false;
+    this.pendingPurchase = null;
+    this.commandLog = [];
+    this.transcript = [];
+    this.logView = { only: null, muted: [] };
+    this.achievements = this.readStored(ACHIEVEMENT_KEY) || {};
+    this.tutorialStep = null;
+    this.warningCount = 0;
+  }
+
+  on(type, listener) {
+    (this.listeners[type] ||= []).push(listener);
+    return () => {
+      this.listeners[type] = this.listeners[type].filter(
+        (entry) => entry !== listener
+      );
+    };
+  }
+
+  emit(type, payload) {
+    (this.listeners[type] || []).forEach((listener) => listener(payload));
+  }
+
+  start() {
+    this.log("SYSTEM", "Boot sequence initiated.");
+    const restored = this.restoreSlot(AUTOSAVE_SLOT);
+    if (restored) {
+      this.log(
+        "STORAGE",
+        `Autosave restored. Session clock ${this.formatTime()}.`,
+        "success"
+      );
+      if (restored.savedAt && !this.state.pendingEvent) {
+        this.catchUpOffline((Date.now() - restored.savedAt) / 1000);
+      }
+    }
+    this.log(
+      "SYSTEM",
+      "Type `help` for available commands. Manual fabrication recommended to begin revenue stream."
+    );
+    const tutorial = this.readStored(TUTORIAL_KEY);
+    if (tutorial && TUTORIAL_STEPS[tutorial.step]) {
+      this.resumeTutorial(tutorial.step);
+    } else if (!restored && !tutorial) {
+      this.startTutorial();
+    }
+    this.emit("render");
+    this.running = true;
+    this.startLoop();
+  }
+
+  startLoop() {
+    if (this.tickTimer || this.paused || !this.running) {
+      return;
+    }
+    this.tickTimer = setInterval(() => {
+      this.tick();
+    }, this.loopMs / this.speed);
+  }
+
+  suspend() {
+    if (this.suspendedAt !== null) {
+      return;
+    }
+    this.suspendedAt = Date.now();
+    this.stop();
+    this.autosave();
+  }
+
+  resumeFromSuspend() {
+    if (this.suspendedAt === null) {
+      return;
+    }
+    const elapsed = (Date.now() - this.suspendedAt) / 1000;
+    this.suspendedAt = null;
+    if (!this.paused) {
+      this.catchUpOffline(elapsed);
+    }
+    this.emit("render");
+    this.startLoop();
+  }
+
+  stop() {
+    if (this.tickTimer) {
+      clearInterval(this.tickTimer);
+      this.tickTimer = null;
+    }
+  }
+
+  pauseSimulation() {
+    if (this.pausedForEvent) {
+      this.pausedForEvent = false;
+      this.log(
+        "CLOCK",
+        "Simulation will stay paused after the pending event is decided."
+      );
+      return;
+    }
+    if (this.paused) {
+      this.log("CLOCK", "Simulation already paused.", "warning");
+      return;
+    }
+    this.paused = true;
+    this.stop();
+    this.log(
+      "CLOCK",
+      "Simulation PAUSED. Use `step [n]` to advance or `resume` to continue."
+    );
+  }
+
+  resumeSimulation() {
+    if (!this.paused) {
+      this.log("CLOCK", "Simulation is already running.", "warning");
+      return;
+    }
+    if (this.state.pendingEvent) {
+      this.log(
+        "CLOCK",
+        "An event is waiting for a decision. Type `choose a` or `choose b`.",
+        "warning"
+      );
+      return;
+    }
+    this.paused = false;
+    this.pausedForEvent = false;
+    this.startLoop();
+    this.log("CLOCK", `Simulation resumed at ${this.speed}x.`, "success");
+  }
+
+  setSpeed(speedArg) {
+    if (!speedArg) {
+      this.log(
+        "CLOCK",
+        `Simulation speed ${this.speed}x. Options: ${SPEED_OPTIONS.join(", ")}.`
+      );
+      return;
+    }
+
+    const speed = Number(speedArg.replace(/x$/, ""));
+    if (!SPEED_OPTIONS.includes(speed)) {
+      this.log("CLOCK", `Usage: speed <${SPEED_OPTIONS.join("|")}>`, "warning");
+      return;
+    }
+
+    this.speed = speed;
+    if (this.tickTimer) {
+      this.stop();
+      this.startLoop();
+    }
+    this.log(
+      "CLOCK",
+      `Simulation speed set to ${speed}x (${speed} simulated second(s) per real second).`,
+      "success"
+    );
+  }
+
+  stepSimulation(countArg) {
+    if (this.state.pendingEvent) {
+      this.log(
+        "CLOCK",
+        "An event is waiting for a decision. Type `choose a` or `choose b`.",
+        "warning"
+      );
+      return;
+    }
+    if (!this.paused) {
+      this.log(
+        "CLOCK",
+        "Simulation is running. Use `pause` before stepping.",
+        "warning"
+      );
+      return;
+    }
+
+    const count = countArg === undefined ? 1 : Number(countArg);
+    if (!Number.isInteger(count) || count < 1 || count > STEP_MAX_TICKS) {
+      this.log(
+        "CLOCK",
+        `Usage: step [n] where n is 1-${STEP_MAX_TICKS}.`,
+        "warning"
+      );
+      return;
+    }
+
+    let advanced = 0;
+    while (advanced < count && !this.state.pendingEvent) {
+      this.tick();
+      advanced += 1;
+    }
+    this.log(
+      "CLOCK",
+      `Advanced ${fmtInteger.format(advanced)} tick(s). Session clock ${this.formatTime()}.${
+        advanced < count ? " Stopped early for an event." : ""
+      }`
+    );
+  }
+
+  tick() {
+    const dt = this.loopMs / 1000;
+    this.state.secondsElapsed += dt;
+    this.tickCount += 1;
+
+    this.applyAutomation(dt);
+    this.resolveSales(dt);
+    this.resolveProductSales(dt);
+    this.applyStorage(dt);
+    this.runAutoprice();
+    this.updateRivals(dt);
+    this.updateDemand();
+    this.updateProductDemand();
+    this.updateWireMarket(dt);
+    this.settleWireContracts();
+    this.advanceResearch(dt * this.effectMultiplier("research"));
+    this.accrueLoanInterest(dt);
+    this.collectLoanPayment();
+    this.expireEffects();
+    this.checkUnlocks();
+    this.checkAchievements();
+    this.checkScenario();
+    this.advanceTutorial();
+    this.drawEvent();
+    this.evaluateRules();
+    this.runSchedules();
+    this.recordMetrics(dt);
+
+    if (this.tickCount % 15 === 0) {
+      this.logStatusPulse();
+    }
+
+    if (this.tickCount % AUTOSAVE_INTERVAL_TICKS === 0 && !this.silent) {
+      this.autosave();
+    }
+
+    if (this.state.wire < 1) {
+      this.state.flags.wireDepleted = true;
+    }
+
+    if (this.state.wire < 40 && !this.state.flags.wireWarningShown) {
+      this.state.flags.wireWarningShown = true;
+      this.log(
+        "SUPPLY",
+        "Wire reserves critically low. Procure additional spools.",
+        "warning"
+      );
+    }
+
+    if (!this.silent) {
+      this.emit("render");
+    }
+  }
+
+  applyAutomation(dt = 1) {
+    this.applyProductAutomation(dt);
+    const autoRate =
+      (this.unassignedUnits("autoclippers") * this.state.clipperRate +
+        this.unassignedUnits("factories") * this.state.factoryRate) *
+      this.effectMultiplier("production") *
+      dt;
+    if (autoRate <= 0) {
+      return;
+    }
+    const produced = this.makeClips(autoRate);
+    if (produced > 0 && this.tickCount % 8 === 0) {
+      this.log(
+        "AUTOMATION",
+        `Background fabrication: ${fmtInteger.format(
+          produced
+        )} clips added to inventory.`
+      );
+    }
+  }
+
+  resolveSales(dt = 1) {
+    const demand = this.state.demandIndex;
+    const targetUnits = demand * 8 * dt + this.sellCarry;
+    const units = Math.min(this.state.inventory, Math.floor(targetUnits));
+    this.sellCarry = targetUnits - units;
+
+    if (units <= 0) {
+      return;
+    }
+
+    this.state.inventory -= units;
+    this.state.totalSold += units;
+    const revenue = units * this.state.pricePerClip;
+    this.state.funds += revenue;
+
+    if (this.tickCount % 10 === 0) {
+      this.log(
+        "MARKET",
+        `Sold ${fmtInteger.format(units)} clips @ ${fmtDecimal.format(
+          this.state.pricePerClip
+        )} each. Revenue ${fmtDecimal.format(revenue)}.`
+      );
+    }
+  }
+
+  catchUpOffline(elapsedSeconds) {
+    if (
+      !Number.isFinite(elapsedSeconds) ||
+      elapsedSeconds < OFFLINE_MIN_SECONDS
+    ) {
+      return;
+    }
+
+    const seconds = Math.min(elapsedSeconds, OFFLINE_MAX_SECONDS);
+    if (this.commandLog) {
+      this.commandLog.push({ tick: this.tickCount, offline: seconds });
+    }
+    const before = {
+      clipsMade: this.state.clipsMade,
+      totalSold: this.state.totalSold,
+      wire: this.state.wire,
+      funds: this.state.funds,
+    };
+
+    const wasSilent = this.silent;
+    let scenarioOutcome = null;
+    this.silent = true;
+    try {
+      let remaining = seconds;
+      while (remaining > 0) {
+        const { scenario } = this.state;
+        const deadline =
+          scenario && scenario.status === "active"
+            ? scenario.endsAt - this.state.secondsElapsed
+            : Infinity;
+        const dt = Math.min(
+          OFFLINE_STEP_SECONDS,
+          remaining,
+          deadline > 0 ? deadline : Infinity
+        );
+        this.state.secondsElapsed += dt;
+        this.applyAutomation(dt);
+        this.resolveSales(dt);
+        this.resolveProductSales(dt);
+        this.applyStorage(dt);
+        this.updateRivals(dt);
+        this.updateDemand();
+        this.updateProductDemand();
+        this.updateWireMarket(dt);
+        this.accrueLoanInterest(dt);
+        this.collectLoanPayment();
+        this.expireEffects();
+        scenarioOutcome ||= this.settleScenario();
+        remaining -= dt;
+      }
+      this.state.productionMark = this.state.clipsMade;
+    } finally {
+      this.silent = wasSilent;
+    }
+
+    const made = this.state.clipsMade - before.clipsMade;
+    const sold = this.state.totalSold - before.totalSold;
+    const wireUsed = before.wire - this.state.wire;
+    const earned = this.state.funds - before.funds;
+    const cappedNote =
+      elapsedSeconds > OFFLINE_MAX_SECONDS
+        ? `\nSimulation capped at ${this.formatDuration(OFFLINE_MAX_SECONDS)}.`
+        : "";
+
+    this.log(
+      "OFFLINE",
+      [
+        "OFFLINE REPORT",
+        `Systems ran unattended for ${this.formatDuration(seconds)}.`,
+        `Clips made: ${fmtInteger.format(made)}`,
+        `Clips sold: ${fmtInteger.format(sold)}`,
+        `Wire used: ${fmtInteger.format(wireUsed)}`,
+        `Funds earned: ${fmtDecimal.format(earned)} cr`,
+      ].join("\n") + cappedNote,
+      "success"
+    );
+    if (scenarioOutcome) {
+      this.reportScenario(scenarioOutcome);
+    }
+    this.checkUnlocks();
+  }
+
+  updateDemand() {
+    const demand =
+      this.projectedDemand(this.state.pricePerClip, this.state.marketShare) +
+      (this.random() - 0.5) * 0.12;
+    this.state.demandIndex = Math.max(0, demand);
+  }
+
+  projectedDemand(price, marketShare) {
+    const marketingBoost = 1 + this.state.marketingLevel * 0.35;
+    const trustBoost = 1 + this.state.trust * 0.12;
+    const reputationBoost = 1 + Math.min(this.state.reputation / 1500, 0.6);
+    const base =
+      1.45 *
+      marketingBoost *
+      trustBoost *
+      reputationBoost *
+      this.state.demandBoost *
+      this.effectMultiplier("demand");
+
+    const pricePenalty = (price - 0.25) * 6 + Math.max(price - 0.5, 0) * 8;
+
+    const inventoryPenalty = (this.state.inventory / 4200) ** 1.15;
+
+    const competitionFactor = Math.min(
+      Math.max(marketShare * (RIVAL_FIRMS.length + 1), COMPETITION_FACTOR_MIN),
+      COMPETITION_FACTOR_MAX
+    );
+
+    return (base - pricePenalty - inventoryPenalty) * competitionFactor;
+  }
+
+  analyzePrice() {
+    const points = [];
+    for (
+      let cents = PRICE_MIN * 100;
+      cents <= PRICE_MAX * 100;
+      cents += ANALYZE_PRICE_STEP * 100
+    ) {
+      const price = cents / 100;
+      const demand = Math.max(
+        0,
+        this.projectedDemand(price, this.computeMarketShares(price).player)
+      );
+      points.push({ price, demand, revenue: demand * 8 * price });
+    }
+
+    const best = points.reduce((top, point) =>
+      point.revenue > top.revenue ? point : top
+    );
+    const bestIndex = points.indexOf(best);
+    const current = this.state.pricePerClip;
+    const currentDemand = Math.max(
+      0,
+      this.projectedDemand(current, this.computeMarketShares(current).player)
+    );
+    const pad = " ".repeat(CHART_LABEL_WIDTH + 2);
+    const axis = `${pad}${fmtDecimal.format(PRICE_MIN)}${fmtDecimal
+      .format(PRICE_MAX)
+      .padStart(points.length - 4)}`;
+    const marker = `${pad}${" ".repeat(bestIndex)}^ optimum`;
+
+    this.log(
+      "MARKET",
+      [
+        `Demand index by price (${fmtDecimal.format(
+          PRICE_MIN
+        )}-${fmtDecimal.format(PRICE_MAX)} cr):`,
+        ...plotChart(
+          points.map((point) => point.demand),
+          ANALYZE_CHART_HEIGHT
+        ),
+        axis,
+        "Revenue per tick (cr):",
+        ...plotChart(
+          points.map((point) => point.revenue),
+          ANALYZE_CHART_HEIGHT
+        ),
+        marker,
+        `Optimum ${fmtDecimal.format(best.price)} cr: demand ${best.demand.toFixed(
+          2
+        )}, about ${fmtDecimal.format(best.revenue)} cr per tick.`,
+        `Current ${fmtDecimal.format(current)} cr: demand ${currentDemand.toFixed(
+          2
+        )}, about ${fmtDecimal.format(
+          currentDemand * 8 * current
+        )} cr per tick.`,
+        "Projection assumes enough stock on hand and rivals holding their prices.",
+      ].join("\n")
+    );
+  }
+
+  setAutoprice(enabled, targetArg) {
+    const { autoprice } = this.state;
+    if (!enabled) {
+      if (!autoprice.enabled) {
+        this.log("MARKET", "Autoprice is already off.", "warning");
+        return;
+      }
+      autoprice.enabled = false;
+      this.log("MARKET", "Autoprice disengaged. Pricing is manual again.");
+      return;
+    }
+
+    const target =
+      targetArg === undefined ? autoprice.target : Number(targetArg);
+    if (!Number.isInteger(target) || target < 0) {
+      this.log("MARKET", "Usage: autoprice on [target inventory]", "warning");
+      return;
+    }
+
+    autoprice.enabled = true;
+    autoprice.target = target;
+    autoprice.lastInventory = this.state.inventory;
+    this.log(
+      "MARKET",
+      `Autoprice engaged. Holding inventory near ${fmtInteger.format(
+        target
+      )} clips by moving price ${fmtDecimal.format(
+        AUTOPRICE_STEP
+      )} cr per tick.`,
+      "success"
+    );
+  }
+
+  autopriceStatus() {
+    const { autoprice } = this.state;
+    this.log(
+      "MARKET",
+      autoprice.enabled
+        ? `Autoprice on. Target inventory ${fmtInteger.format(
+            autoprice.target
+          )}, current ${fmtInteger.format(
+            this.state.inventory
+          )}, price ${fmtDecimal.format(this.state.pricePerClip)} cr.`
+        : `Autoprice off. Last target ${fmtInteger.format(autoprice.target)}.`
+    );
+  }
+
+  runAutoprice() {
+    const { autoprice } = this.state;
+    if (!autoprice.enabled) {
+      return;
+    }
+
+    const error = this.state.inventory - autoprice.target;
+    const trend = this.state.inventory - autoprice.lastInventory;
+    autoprice.lastInventory = this.state.inventory;
+    const band = Math.max(
+      AUTOPRICE_MIN_BAND,
+      autoprice.target * AUTOPRICE_DEADBAND
+    );
+    const correcting = error > 0 ? trend < 0 : trend > 0;
+    if (
+      Math.abs(error) <= band ||
+      correcting ||
+      (error < 0 && this.state.demandIndex <= 0)
+    ) {
+      return;
+    }
+
+    const step = error > 0 ? -AUTOPRICE_STEP : AUTOPRICE_STEP;
+    const price = Math.round((this.state.pricePerClip + step) * 100) / 100;
+    this.state.pricePerClip = Math.min(
+      Math.max(price, this.priceFloor()),
+      PRICE_MAX
+    );
+  }
+
+  marketAttraction(price, marketingLevel) {
+    return (
+      (1 + marketingLevel * 0.35) *
+      Math.max(price, 0.01) ** -RIVAL_PRICE_ELASTICITY
+    );
+  }
+
+  computeMarketShares(price = this.state.pricePerClip) {
+    const active = this.state.rivals.filter((rival) => !rival.bankrupt);
+    const player = this.marketAttraction(price, this.state.marketingLevel);
+    const weights = active.map((rival) =>
+      this.marketAttraction(rival.price, rival.marketing)
+    );
+    const total = weights.reduce((sum, weight) => sum + weight, player);
+    const shares = { player: player / total };
+    active.forEach((rival, index) => {
+      shares[rival.id] = weights[index] / total;
+    });
+    return shares;
+  }
+
+  updateRivals(dt = 1) {
+    const shares = this.computeMarketShares();
+    this.state.marketShare = shares.player;
+
+    const active = this.state.rivals.filter((rival) => !rival.bankrupt);
+    active.forEach((rival) => {
+      const sales = Math.min(
+        rival.capacity,
+        shares[rival.id] * RIVAL_MARKET_UNITS
+      );
+      rival.funds +=
+        (sales * (rival.price - rival.unitCost) - rival.overhead) * dt;
+      if (rival.funds < 0) {
+        rival.bankrupt = true;
+        this.log(
+          "RIVAL",
+          `${rival.name} has gone bankrupt. Its customers are back on the market.`,
+          "success"
+        );
+      }
+    });
+
+    const solvent = active.filter((rival) => !rival.bankrupt);
+    for (let i = this.intervalsCrossed(RIVAL_UPDATE_TICKS, dt); i > 0; i--) {
+      solvent.forEach((rival) => {
+        this.adjustRival(rival, shares[rival.id], 1 / (solvent.length + 1));
+      });
+    }
+  }
+
+  adjustRival(rival, share, fairShare) {
+    const ours = this.state.pricePerClip;
+    const breakEven =
+      rival.unitCost + rival.overhead / (RIVAL_MARKET_UNITS * fairShare);
+    const floor = Math.ceil(breakEven * 100) / 100;
+    let price = rival.price;
+    if (ours < price && this.random() < rival.aggression) {
+      price = Math.max(floor, ours - 0.01);
+    } else if (share < fairShare * 0.9) {
+      price = Math.max(floor, price - 0.01);
+    } else if (share > fairShare * 1.2) {
+      price += 0.01;
+    }
+    price = Math.round(price * 100) / 100;
+
+    if (price < ours && rival.price >= ours) {
+      this.log(
+        "RIVAL",
+        `${rival.name} undercut us at ${fmtDecimal.format(
+          price
+        )} per clip (ours ${fmtDecimal.format(ours)}).`,
+        "warning"
+      );
+    }
+    rival.price = price;
+
+    const campaignCost = RIVAL_CAMPAIGN_COST * (rival.marketing + 1);
+    if (
+      this.state.marketingLevel > rival.marketing &&
+      rival.funds > campaignCost * 2
+    ) {
+      rival.funds -= campaignCost;
+      rival.marketing += 1;
+      this.log(
+        "RIVAL",
+        `${rival.name} answered with a marketing campaign (level ${fmtInteger.format(
+          rival.marketing
+        )}).`
+      );
+    }
+
+    if (rival.funds > RIVAL_EXPANSION_FUNDS) {
+      rival.funds -= RIVAL_EXPANSION_COST;
+      rival.capacity = Math.round(rival.capacity * 1.25);
+    }
+  }
+
+  showMarketShare() {
+    const shares = this.computeMarketShares();
+    const rows = [
+      {
+        name: "Us",
+        price: this.state.pricePerClip,
+        marketing: this.state.marketingLevel,
+        share: shares.player,
+      },
+      ...this.state.rivals.map((rival) => ({
+        name: rival.name,
+        price: rival.price,
+        marketing: rival.marketing,
+        share: rival.bankrupt ? null : shares[rival.id],
+      })),
+    ];
+    const width = Math.max(...rows.map((row) => row.name.length));
+    const lines = rows.map((row) =>
+      row.share === null
+        ? `${row.name.padEnd(width)}  bankrupt`
+        : `${row.name.padEnd(width)}  ${fmtDecimal
+            .format(row.price)
+            .padStart(5)} cr  mkt ${String(row.marketing).padStart(
+            2
+          )}  ${(row.share * 100).toFixed(1).padStart(5)}%`
+    );
+
+    this.log(
+      "MARKET",
+      [
+        `Market share across ${fmtInteger.format(
+          rows.filter((row) => row.share !== null).length
+        )} active firm(s):`,
+        ...lines,
+      ].join("\n")
+    );
+  }
+
+  makeClips(amount) {
+    if (this.state.wire <= 0 || amount <= 0) {
+      return 0;
+    }
+
+    const target = amount + this.productionCarry;
+    const producible = Math.min(target, this.state.wire);
+    const produced = Math.floor(producible);
+    this.productionCarry = producible - produced;
+
+    if (produced <= 0) {
+      return 0;
+    }
+
+    this.state.wire -= produced;
+    this.state.inventory += produced;
+    this.state.clipsMade += produced;
+    this.state.reputation += produced * 0.0025;
+
+    return produced;
+  }
+
+  manualFabricate(productArg) {
+    const productId = this.resolveProduct(productArg, "FABRICATOR");
+    if (!productId) {
+      return;
+    }
+    if (productId !== STANDARD_PRODUCT) {
+      this.manualFabricateProduct(productId);
+      return;
+    }
+
+    const amount = Math.max(1, this.state.manualEfficiency);
+    const produced = this.makeClips(amount);
+
+    if (produced <= 0) {
+      this.log(
+        "FABRICATOR",
+        "Fabrication failed. Wire required for manual operation.",
+        "warning"
+      );
+      return;
+    }
+
+    this.log(
+      "FABRICATOR",
+      `Manual fabrication complete: ${fmtInteger.format(
+        produced
+      )} clip(s). Inventory ${fmtInteger.format(this.state.inventory)}.`,
+      "success"
+    );
+  }
+
+  unlockedProducts() {
+    return Object.keys(PRODUCT_LINES).filter(
+      (id) => this.state.flags[PRODUCT_LINES[id].flag]
+    );
+  }
+
+  resolveProduct(productArg, channel) {
+    if (!productArg || productArg === STANDARD_PRODUCT) {
+      return STANDARD_PRODUCT;
+    }
+
+    const line = PRODUCT_LINES[productArg];
+    if (!line) {
+      this.log(
+        channel,
+        `Unknown product "${productArg}". Products: ${[
+          STANDARD_PRODUCT,
+          ...Object.keys(PRODUCT_LINES),
+        ].join(", ")}.`,
+        "warning"
+      );
+      return null;
+    }
+
+    if (!this.state.flags[line.flag]) {
+      const unlock = UNLOCKS.find((entry) => entry.flag === line.flag);
+      this.log(
+        channel,
+        `${line.name} are locked. Hint: ${unlock.hint(this.state)}.`,
+        "warning"
+      );
+      return null;
+    }
+
+    return productArg;
+  }
+
+  assignedUnits(key) {
+    return Object.values(this.state.assignments).reduce(
+      (sum, assignment) => sum + assignment[key],
+      0
+    );
+  }
+
+  unassignedUnits(key) {
+    return Math.max(0, this.state[key] - this.assignedUnits(key));
+  }
+
+  makeProduct(productId, amount) {
+    const line = PRODUCT_LINES[productId];
+    const product = this.state.products[productId];
+    if (this.state.wire < line.wirePerUnit || amount <= 0) {
+      return 0;
+    }
+
+    const target = amount + product.productionCarry;
+    const producible = Math.min(target, this.state.wire / line.wirePerUnit);
+    const produced = Math.floor(producible);
+    product.productionCarry = producible - produced;
+
+    if (produced <= 0) {
+      return 0;
+    }
+
+    this.state.wire -= produced * line.wirePerUnit;
+    product.inventory += produced;
+    product.made += produced;
+    this.state.reputation += produced * line.wirePerUnit * 0.0025;
+
+    return produced;
+  }
+
+  manualFabricateProduct(productId) {
+    const line = PRODUCT_LINES[productId];
+    const amount = Math.max(1, this.state.manualEfficiency);
+    const produced = this.makeProduct(productId, amount);
+
+    if (produced <= 0) {
+      this.log(
+        "FABRICATOR",
+        `Fabrication failed. ${line.name} need ${line.wirePerUnit} wire each.`,
+        "warning"
+      );
+      return;
+    }
+
+    this.log(
+      "FABRICATOR",
+      `Manual fabrication complete: ${fmtInteger.format(
+        produced
+      )} ${line.unit}(s). Inventory ${fmtInteger.format(
+        this.state.products[productId].inventory
+      )}.`,
+      "success"
+    );
+  }
+
+  applyProductAutomation(dt = 1) {
+    Object.keys(PRODUCT_LINES).forEach((productId) => {
+      const assignment = this.state.assignments[productId];
+      const rate =
+        ((assignment.autoclippers * this.state.clipperRate +
+          assignment.factories * this.state.factoryRate) *
+          this.effectMultiplier("production") *
+          dt) /
+        PRODUCT_LINES[productId].wirePerUnit;
+      if (rate > 0) {
+        this.makeProduct(productId, rate);
+      }
+    });
+  }
+
+  updateProductDemand() {
+    const marketingBoost = 1 + this.state.marketingLevel * 0.35;
+    this.unlockedProducts().forEach((productId) => {
+      const line = PRODUCT_LINES[productId];
+      const product = this.state.products[productId];
+      const demand =
+        line.baseDemand *
+          marketingBoost *
+          this.state.demandBoost *
+          this.effectMultiplier("demand") -
+        (product.price - line.referencePrice) * line.priceSensitivity +
+        (this.random() - 0.5) * 0.06;
+      product.demand = Math.max(0, demand);
+    });
+  }
+
+  resolveProductSales(dt = 1) {
+    this.unlockedProducts().forEach((productId) => {
+      const product = this.state.products[productId];
+      const targetUnits = product.demand * 8 * dt + product.sellCarry;
+      const units = Math.min(product.inventory, Math.floor(targetUnits));
+      product.sellCarry = targetUnits - units;
+
+      if (units <= 0) {
+        return;
+      }
+
+      product.inventory -= units;
+      product.sold += units;
+      const revenue = units * product.price;
+      this.state.funds += revenue;
+
+      if (this.tickCount % 10 === 0) {
+        this.log(
+          "MARKET",
+          `Sold ${fmtInteger.format(units)} ${PRODUCT_LINES[
+            productId
+          ].name.toLowerCase()} @ ${fmtDecimal.format(
+            product.price
+          )} each. Revenue ${fmtDecimal.format(revenue)}.`
+        );
+      }
+    });
+  }
+
+  assignAutomation([unitArg, countArg, productArg]) {
+    const key = AUTOMATION_UNITS[unitArg];
+    const count = Number(countArg);
+    if (!key || !Number.isInteger(count) || count < 0 || !productArg) {
+      this.log(
+        "AUTOMATION",
+        "Usage: assign <autoclipper|factory> <n> <product>",
+        "warning"
+      );
+      return;
+    }
+
+    const productId = this.resolveProduct(productArg, "AUTOMATION");
+    if (!productId) {
+      return;
+    }
+    if (productId === STANDARD_PRODUCT) {
+      this.log(
+        "AUTOMATION",
+        "Standard clips use every unassigned unit. Assign 0 to a line to release its units.",
+        "warning"
+      );
+      return;
+    }
+
+    const assignment = this.state.assignments[productId];
+    const available = this.unassignedUnits(key) + assignment[key];
+    if (count > available) {
+      this.log(
+        "AUTOMATION",
+        `Only ${fmtInteger.format(available)} ${key} available for this line.`,
+        "warning"
+      );
+      return;
+    }
+
+    assignment[key] = count;
+    this.log(
+      "AUTOMATION",
+      `${PRODUCT_LINES[productId].name} line now runs ${fmtInteger.format(
+        count
+      )} ${key}. ${fmtInteger.format(
+        this.unassignedUnits(key)
+      )} left on standard clips.`,
+      "success"
+    );
+  }
+
+  showProducts() {
+    const s = this.state;
+    const lines = [
+      `Paperclips: ${fmtInteger.format(s.inventory)} in stock @ ${fmtDecimal.format(
+        s.pricePerClip
+      )} cr, demand ${s.demandIndex.toFixed(2)}, 1 wire/unit, ${fmtInteger.format(
+        this.unassignedUnits("autoclippers")
+      )} autoclippers, ${fmtInteger.format(
+        this.unassignedUnits("factories")
+      )} factories`,
+    ];
+    Object.entries(PRODUCT_LINES).forEach(([productId, line]) => {
+      if (!s.flags[line.flag]) {
+        const unlock = UNLOCKS.find((entry) => entry.flag === line.flag);
+        lines.push(`${line.name}: locked - ${unlock.hint(s)}`);
+        return;
+      }
+      const product = s.products[productId];
+      const assignment = s.assignments[productId];
+      lines.push(
+        `${line.name}: ${fmtInteger.format(
+          product.inventory
+        )} in stock @ ${fmtDecimal.format(
+          product.price
+        )} cr, demand ${product.demand.toFixed(2)}, ${
+          line.wirePerUnit
+        } wire/unit, ${fmtInteger.format(
+          assignment.autoclippers
+        )} autoclippers, ${fmtInteger.format(assignment.factories)} factories`
+      );
+    });
+    this.log("STATUS", lines.join("\n"));
+  }
+
+  buyAutoclipper(count = 1) {
+    const target = Math.max(1, Math.floor(count));
+    let purchased = 0;
+    let totalCost = 0;
+
+    while (purchased < target && this.canBuyAutoclipper()) {
+      const cost = this.state.clipperCost;
+      this.state.funds -= cost;
+      totalCost += cost;
+      this.state.autoclippers += 1;
+      this.state.clipperCost = this.bumpCost(
+        this.state.clipperCost,
+        COST_GROWTH.clipperCost
+      );
+      purchased += 1;
+    }
+
+    if (purchased === 0) {
+      this.log(
+        "SYSTEM",
+        "Unable to deploy autoclipper. Verify funds and wire reserves.",
+        "warning"
+      );
+      return;
+    }
+
+    const partial = purchased < target;
+    const partialNote = partial
+      ? ` Requested ${fmtInteger.format(target)}; limited by available funds.`
+      : "";
+    this.log(
+      "AUTOMATION",
+      `Autoclipper deployment complete. Added ${fmtInteger.format(
+        purchased
+      )} unit(s). Total units: ${fmtInteger.format(
+        this.state.autoclippers
+      )}. Spent ${fmtDecimal.format(totalCost)} cr.${partialNote}`
+    );
+  }
+
+  buyFactory(count = 1) {
+    const target = Math.max(1, Math.floor(count));
+    let purchased = 0;
+    let totalCost = 0;
+
+    while (purchased < target && this.canBuyFactory()) {
+      const cost = this.state.factoryCost;
+      this.state.funds -= cost;
+      totalCost += cost;
+      this.state.factories += 1;
+      this.state.factoryCost = this.bumpCost(
+        this.state.factoryCost,
+        COST_GROWTH.factoryCost
+      );
+      purchased += 1;
+    }
+
+    if (purchased === 0) {
+      this.log(
+        "SYSTEM",
+        "Factory construction aborted. Additional capital required.",
+        "warning"
+      );
+      return;
+    }
+
+    const partial = purchased < target;
+    const partialNote = partial
+      ? ` Requested ${fmtInteger.format(
+          target
+        )}; limited by available funds or prerequisites.`
+      : "";
+    this.log(
+      "AUTOMATION",
+      `Fabrication plant commissioned. Added ${fmtInteger.format(
+        purchased
+      )} unit(s). Total factories: ${fmtInteger.format(
+        this.state.factories
+      )}. Spent ${fmtDecimal.format(totalCost)} cr.${partialNote}`
+    );
+  }
+
+  buyWarehouse(count = 1) {
+    const target = Math.max(1, Math.floor(count));
+    let purchased = 0;
+    let totalCost = 0;
+
+    while (purchased < target && this.canBuyWarehouse()) {
+      const cost = this.state.warehouseCost;
+      this.state.funds -= cost;
+      totalCost += cost;
+      this.state.warehouses += 1;
+      this.state.warehouseCost = this.bumpCost(
+        this.state.warehouseCost,
+        COST_GROWTH.warehouseCost
+      );
+      purchased += 1;
+    }
+
+    if (purchased === 0) {
+      this.log(
+        "WAREHOUSE",
+        "Warehouse lease denied. Insufficient funds.",
+        "warning"
+      );
+      return;
+    }
+
+    const partialNote =
+      purchased < target
+        ? ` Requested ${fmtInteger.format(target)}; limited by available funds.`
+        : "";
+    this.log(
+      "WAREHOUSE",
+      `Leased ${fmtInteger.format(
+        purchased
+      )} warehouse(s). Capacity ${fmtInteger.format(
+        this.storageCapacity()
+      )} units. Spent ${fmtDecimal.format(totalCost)} cr.${partialNote}`
+    );
+  }
+
+  storageCapacity() {
+    return this.state.warehouses * WAREHOUSE_CAPACITY;
+  }
+
+  applyStorage(dt = 1) {
+    const stored = storedUnits(this.state);
+    const upkeep = stored * STORAGE_COST_PER_UNIT * dt;
+    this.state.funds -= upkeep;
+
+    const excess = stored - this.storageCapacity();
+    if (excess <= 0) {
+      this.state.flags.storageWarningShown = false;
+      return;
+    }
+
+    let overflow = Math.ceil(excess * CLEARANCE_RATE * dt);
+    const clearedStandard = Math.min(this.state.inventory, overflow);
+    this.state.inventory -= clearedStandard;
+    let clearance =
+      clearedStandard *
+      Math.min(this.state.pricePerClip, STANDARD_REFERENCE_PRICE);
+    overflow -= clearedStandard;
+    Object.entries(PRODUCT_LINES).forEach(([productId, line]) => {
+      const product = this.state.products[productId];
+      const units = Math.min(
+        product.inventory,
+        Math.ceil(overflow / line.wirePerUnit)
+      );
+      product.inventory -= units;
+      clearance += units * Math.min(product.price, line.referencePrice);
+      overflow = Math.max(0, overflow - units * line.wirePerUnit);
+    });
+    this.state.funds += clearance * CLEARANCE_PRICE_SHARE;
+
+    if (!this.state.flags.storageWarningShown) {
+      this.state.flags.storageWarningShown = true;
+      this.log(
+        "WAREHOUSE",
+        `Storage over capacity by ${fmtInteger.format(
+          excess
+        )} units. Overflow stock is being dumped at ${
+          CLEARANCE_PRICE_SHARE * 100
+        }% of the going rate. Sell it down or \`buy warehouse\`.`,
+        "warning"
+      );
+    } else if (this.tickCount % STORAGE_REPORT_TICKS === 0) {
+      this.log(
+        "WAREHOUSE",
+        `Still ${fmtInteger.format(
+          excess
+        )} units over capacity. Upkeep ${fmtDecimal.format(upkeep)} cr per tick.`,
+        "warning"
+      );
+    }
+  }
+
+  buyWire(count = 1) {
+    const target = Math.max(1, Math.floor(count));
+    let purchased = 0;
+    let totalWire = 0;
+    let totalCost = 0;
+
+    while (purchased < target && this.canBuyWire()) {
+      const cost = this.state.wireCost;
+      this.state.funds -= cost;
+      totalCost += cost;
+      this.state.wire += this.state.wirePerPurchase;
+      totalWire += this.state.wirePerPurchase;
+      this.state.wireCost = this.bumpCost(
+        this.state.wireCost,
+        COST_GROWTH.wireCost
+      );
+      purchased += 1;
+    }
+
+    if (purchased === 0) {
+      this.log(
+        "PROCUREMENT",
+        "Wire procurement failed. Insufficient funds.",
+        "warning"
+      );
+      return;
+    }
+
+    this.state.flags.wireWarningShown = false;
+    this.state.flags.wirePurchased = true;
+    const partial = purchased < target;
+    const partialNote = partial
+      ? ` Requested ${fmtInteger.format(target)}; limited by available funds.`
+      : "";
+
+    this.log(
+      "PROCUREMENT",
+      `Procured ${fmtInteger.format(purchased)} wire spool(s) (+${fmtInteger.format(
+        totalWire
+      )}). Current reserves: ${fmtInteger.format(
+        this.state.wire
+      )}. Spent ${fmtDecimal.format(totalCost)} cr.${partialNote}`
+    );
+  }
+
+  updateWireMarket(dt = 1) {
+    const base = this.state.wireBasePrice * this.effectMultiplier("wirePrice");
+    const drift =
+      (base - this.state.wireCost) * (1 - (1 - WIRE_REVERSION) ** dt);
+    const shock =
+      (this.random() - 0.5) * base * WIRE_VOLATILITY * Math.sqrt(dt);
+    const price = Math.min(
+      Math.max(this.state.wireCost + drift + shock, base * WIRE_PRICE_FLOOR),
+      base * WIRE_PRICE_CEILING
+    );
+    this.state.wireCost = Math.round(price * 100) / 100;
+
+    for (let i = this.intervalsCrossed(WIRE_SAMPLE_TICKS, dt); i > 0; i--) {
+      this.state.wireHistory.push(this.state.wireCost);
+      if (this.state.wireHistory.length > WIRE_HISTORY_LENGTH) {
+        this.state.wireHistory.shift();
+      }
+    }
+  }
+
+  intervalsCrossed(interval, dt) {
+    const now = this.state.secondsElapsed;
+    return Math.floor(now / interval) - Math.floor((now - dt) / interval);
+  }
+
+  recordMetrics(dt) {
+    if (this.tickCount % METRIC_SAMPLE_TICKS !== 0) {
+      return;
+    }
+    const { state } = this;
+    const rate =
+      state.productionMark === null
+        ? 0
+        : (state.clipsMade - state.productionMark) / (METRIC_SAMPLE_TICKS * dt);
+    state.productionMark = state.clipsMade;
+
+    Object.entries(METRIC_SERIES).forEach(([metric, series]) => {
+      const samples = (state.metricHistory[metric] ||= []);
+      samples.push(Math.round(series.read(state, rate) * 100) / 100);
+      if (samples.length > METRIC_HISTORY_LENGTH) {
+        samples.shift();
+      }
+    });
+  }
+
+  latestMetric(metric) {
+    const samples = this.state.metricHistory[metric] || [];
+    return samples.length ? samples[samples.length - 1] : 0;
+  }
+
+  metricTrend(metric) {
+    const samples = this.state.metricHistory[metric] || [];
+    if (samples.length < 2) {
+      return "flat";
+    }
+    const latest = samples[samples.length - 1];
+    const earlier =
+      samples[Math.max(0, samples.length - 1 - TREND_LOOKBACK_SAMPLES)];
+    const threshold = Math.max(Math.abs(earlier) * TREND_THRESHOLD, 0.01);
+    if (latest - earlier > threshold) {
+      return "up";
+    }
+    return earlier - latest > threshold ? "down" : "flat";
+  }
+
+  showGraph([metricArg, windowArg]) {
+    const windowTicks =
+      windowArg === undefined ? GRAPH_DEFAULT_WINDOW : Number(windowArg);
+    if (
+      !Number.isInteger(windowTicks) ||
+      windowTicks < METRIC_SAMPLE_TICKS * 2
+    ) {
+      this.log(
+        "GRAPH",
+        `Window must be a whole number of ticks, at least ${
+          METRIC_SAMPLE_TICKS * 2
+        }.`,
+        "warning"
+      );
+      return;
+    }
+    const count = Math.ceil(windowTicks / METRIC_SAMPLE_TICKS);
+
+    if (metricArg === undefined) {
+      const rows = Object.entries(METRIC_SERIES).map(([metric, series]) => {
+        const samples = this.state.metricHistory[metric].slice(-count);
+        return `${series.label.padEnd(13)}${
+          samples.length
+            ? sparkline(downsample(samples, GRAPH_MAX_COLUMNS))
+            : "-"
+        } ${series.format(this.latestMetric(metric))} ${
+          TREND_ARROWS[this.metricTrend(metric)]
+        }`;
+      });
+      this.log(
+        "GRAPH",
+        [
+          `Last ${fmtInteger.format(windowTicks)} ticks, one sample every ${METRIC_SAMPLE_TICKS}:`,
+          ...rows,
+        ].join("\n")
+      );
+      return;
+    }
+
+    const metric = metricArg.toLowerCase();
+    const series = METRIC_SERIES[metric];
+    if (!series) {
+      this.log(
+        "GRAPH",
+        `Unknown metric \`${metricArg}\`. Choose one of: ${Object.keys(
+          METRIC_SERIES
+        ).join(", ")}.`,
+        "warning"
+      );
+      return;
+    }
+
+    const samples = this.state.metricHistory[metric].slice(-count);
+    if (samples.length < 2) {
+      this.log(
+        "GRAPH",
+        `Not enough history yet. Metrics are sampled every ${METRIC_SAMPLE_TICKS} ticks.`,
+        "warning"
+      );
+      return;
+    }
+
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    const change = last - first;
+    const covered = samples.length * METRIC_SAMPLE_TICKS;
+    this.log(
+      "GRAPH",
+      [
+        `${series.label} over the last ${fmtInteger.format(covered)} ticks:`,
+        ...plotChart(
+          downsample(samples, GRAPH_MAX_COLUMNS),
+          GRAPH_CHART_HEIGHT
+        ),
+        `Start ${series.format(first)}, now ${series.format(last)} (${
+          change >= 0 ? "+" : "-"
+        }${series.format(Math.abs(change))}) ${
+          TREND_ARROWS[this.metricTrend(metric)]
+        }. Low ${series.format(Math.min(...samples))}, high ${series.format(
+          Math.max(...samples)
+        )}.`,
+      ].join("\n")
+    );
+  }
+
+  quoteWireForward(ticks) {
+    const base = this.state.wireBasePrice;
+    const expected =
+      base + (this.state.wireCost - base) * (1 - WIRE_REVERSION) ** ticks;
+    return Math.round(expected * (1 + WIRE_CONTRACT_PREMIUM) * 100) / 100;
+  }
+
+  showWireMarket() {
+    const history = this.state.wireHistory;
+    const high = Math.max(...history);
+    const low = Math.min(...history);
+
+    const contracts = this.state.wireContracts.map(
+      (contract) =>
+        `  #${contract.id}: ${fmtInteger.format(
+          contract.spools
+        )} spool(s) at ${fmtDecimal.format(
+          contract.price
+        )} cr, due in ${this.formatDuration(
+          contract.dueAt - this.state.secondsElapsed
+        )}`
+    );
+
+    this.log(
+      "MARKET",
+      [
+        `Wire spot ${fmtDecimal.format(
+          this.state.wireCost
+        )} cr per spool (base ${fmtDecimal.format(
+          this.state.wireBasePrice
+        )} cr, range ${fmtDecimal.format(low)}-${fmtDecimal.format(high)}).`,
+        ...plotChart(history, WIRE_CHART_HEIGHT),
+        `Last ${fmtInteger.format(
+          history.length
+        )} samples, one every ${WIRE_SAMPLE_TICKS} ticks.`,
+        contracts.length ? "Open contracts:" : "No open contracts.",
+        ...contracts,
+      ].join("\n")
+    );
+  }
+
+  contractWire([spoolsArg, priceArg, ticksArg]) {
+    const spools = Number(spoolsArg);
+    const price = Number(priceArg);
+    const ticks = Number(ticksArg);
+    if (
+      !Number.isInteger(spools) ||
+      spools < 1 ||
+      spools > WIRE_CONTRACT_MAX_SPOOLS ||
+      !Number.isFinite(price) ||
+      price <= 0 ||
+      !Number.isInteger(ticks) ||
+      ticks < WIRE_CONTRACT_MIN_TICKS ||
+      ticks > WIRE_CONTRACT_MAX_TICKS
+    ) {
+      this.log(
+        "MARKET",
+        `Usage: contract wire <spools 1-${WIRE_CONTRACT_MAX_SPOOLS}> <price> <ticks ${WIRE_CONTRACT_MIN_TICKS}-${WIRE_CONTRACT_MAX_TICKS}>`,
+        "warning"
+      );
+      return;
+    }
+
+    const quote = this.quoteWireForward(ticks);
+    if (price < quote) {
+      this.log(
+        "MARKET",
+        `Supplier declined. Forward quote for delivery in ${fmtInteger.format(
+          ticks
+        )} ticks is ${fmtDecimal.format(quote)} cr per spool.`,
+        "warning"
+      );
+      return;
+    }
+
+    const deposit =
+      Math.round(spools * price * WIRE_CONTRACT_DEPOSIT * 100) / 100;
+    if (this.state.funds < deposit) {
+      this.log(
+        "MARKET",
+        `Contract requires a ${fmtDecimal.format(deposit)} cr deposit. Insufficient funds.`,
+        "warning"
+      );
+      return;
+    }
+
+    this.state.funds -= deposit;
+    const contract = {
+      id: this.state.nextContractId,
+      spools,
+      price,
+      deposit,
+      dueAt: this.state.secondsElapsed + ticks,
+    };
+    this.state.nextContractId += 1;
+    this.state.wireContracts.push(contract);
+    this.log(
+      "MARKET",
+      `Contract #${contract.id} signed: ${fmtInteger.format(
+        spools
+      )} spool(s) at ${fmtDecimal.format(price)} cr in ${fmtInteger.format(
+        ticks
+      )} ticks. Deposit paid ${fmtDecimal.format(deposit)} cr.`,
+      "success"
+    );
+  }
+
+  settleWireContracts() {
+    const now = this.state.secondsElapsed;
+    const due = this.state.wireContracts.filter(
+      (contract) => contract.dueAt <= now
+    );
+    if (!due.length) {
+      return;
+    }
+    this.state.wireContracts = this.state.wireContracts.filter(
+      (contract) => contract.dueAt > now
+    );
+
+    due.forEach((contract) => {
+      const balance = contract.spools * contract.price - contract.deposit;
+      if (this.state.funds < balance) {
+        this.log(
+          "MARKET",
+          `Contract #${contract.id} defaulted: ${fmtDecimal.format(
+            balance
+          )} cr balance unpaid. Deposit forfeited.`,
+          "warning"
+        );
+        return;
+      }
+
+      const delivered = contract.spools * this.state.wirePerPurchase;
+      this.state.funds -= balance;
+      this.state.wire += delivered;
+      this.state.flags.wireWarningShown = false;
+      this.log(
+        "MARKET",
+        `Contract #${contract.id} delivered ${fmtInteger.format(
+          delivered
+        )} wire. Paid ${fmtDecimal.format(balance)} cr balance.`,
+        "success"
+      );
+    });
+  }
+
+  creditLimit() {
+    return (
+      LOAN_BASE_LIMIT +
+      this.state.reputation * LOAN_LIMIT_PER_REPUTATION +
+      this.state.trust * LOAN_LIMIT_PER_TRUST
+    );
+  }
+
+  availableCredit() {
+    return Math.max(0, this.creditLimit() - this.state.loan.balance);
+  }
+
+  minimumLoanPayment() {
+    const { balance } = this.state.loan;
+    return Math.min(
+      balance,
+      Math.max(LOAN_MIN_PAYMENT, balance * LOAN_MIN_PAYMENT_SHARE)
+    );
+  }
+
+  requestLoan(amountArg) {
+    const amount = Math.round(Number(amountArg) * 100) / 100;
+    if (!Number.isFinite(amount) || amount <= 0) {
+      this.log("LOAN", "Usage: loan request <amount>", "warning");
+      return;
+    }
+
+    const available = this.availableCredit();
+    if (amount > available) {
+      this.log(
+        "LOAN",
+        `Request exceeds your credit line. ${fmtDecimal.format(
+          available
+        )} cr available of a ${fmtDecimal.format(this.creditLimit())} cr limit.`,
+        "warning"
+      );
+      return;
+    }
+
+    const { loan } = this.state;
+    loan.balance += amount;
+    this.state.funds += amount;
+    if (loan.nextDueAt === null) {
+      loan.nextDueAt = this.state.secondsElapsed + LOAN_PAYMENT_TICKS;
+      loan.paidThisPeriod = 0;
+    }
+    this.log(
+      "LOAN",
+      `Loan approved: ${fmtDecimal.format(
+        amount
+      )} cr deposited. Balance ${fmtDecimal.format(
+        loan.balance
+      )} cr. Next payment due in ${this.formatDuration(
+        loan.nextDueAt - this.state.secondsElapsed
+      )}.`,
+      "success"
+    );
+  }
+
+  repayLoan(amountArg) {
+    const { loan } = this.state;
+    if (loan.balance <= 0) {
+      this.log("LOAN", "No outstanding loan balance.", "warning");
+      return;
+    }
+
+    const requested =
+      amountArg === "all"
+        ? loan.balance
+        : Math.round(Number(amountArg) * 100) / 100;
+    if (!Number.isFinite(requested) || requested <= 0) {
+      this.log("LOAN", "Usage: loan repay <amount|all>", "warning");
+      return;
+    }
+
+    const amount = Math.min(requested, loan.balance, this.state.funds);
+    if (amount <= 0) {
+      this.log("LOAN", "Repayment failed. Insufficient funds.", "warning");
+      return;
+    }
+
+    this.state.funds -= amount;
+    loan.balance -= amount;
+    loan.paidThisPeriod += amount;
+    if (loan.balance < 0.005) {
+      loan.balance = 0;
+      loan.nextDueAt = null;
+      loan.paidThisPeriod = 0;
+    }
+    const partialNote =
+      amount < requested ? " Limited by balance or available funds." : "";
+    this.log(
+      "LOAN",
+      loan.balance > 0
+        ? `Repaid ${fmtDecimal.format(amount)} cr. Balance ${fmtDecimal.format(
+            loan.balance
+          )} cr.${partialNote}`
+        : `Repaid ${fmtDecimal.format(amount)} cr. Loan cleared.${partialNote}`,
+      "success"
+    );
+  }
+
+  accrueLoanInterest(dt = 1) {
+    const { loan } = this.state;
+    if (loan.balance <= 0) {
+      return;
+    }
+    const interest = loan.balance * LOAN_INTEREST_RATE * dt;
+    loan.balance += interest;
+    loan.interestAccrued += interest;
+  }
+
+  collectLoanPayment() {
+    const { loan } = this.state;
+    if (loan.nextDueAt === null || this.state.secondsElapsed < loan.nextDueAt) {
+      return;
+    }
+
+    const due = Math.max(0, this.minimumLoanPayment() - loan.paidThisPeriod);
+    const periods =
+      Math.floor(
+        (this.state.secondsElapsed - loan.nextDueAt) / LOAN_PAYMENT_TICKS
+      ) + 1;
+    loan.nextDueAt += periods * LOAN_PAYMENT_TICKS;
+    loan.paidThisPeriod = 0;
+    if (due <= 0) {
+      return;
+    }
+
+    if (this.state.funds >= due) {
+      this.state.funds -= due;
+      loan.balance -= due;
+      this.log(
+        "LOAN",
+        `Minimum payment of ${fmtDecimal.format(
+          due
+        )} cr collected. Balance ${fmtDecimal.format(loan.balance)} cr.`
+      );
+      if (loan.balance < 0.005) {
+        loan.balance = 0;
+        loan.nextDueAt = null;
+      }
+      return;
+    }
+
+    const lateFee = due * LOAN_LATE_FEE_SHARE;
+    loan.balance += lateFee;
+    loan.missedPayments += 1;
+    this.state.reputation *= 1 - LOAN_MISSED_REPUTATION_SHARE;
+    this.state.effects.push({
+      source: "Missed loan payment",
+      stat: "demand",
+      factor: LOAN_MISSED_DEMAND_FACTOR,
+      expiresAt: this.state.secondsElapsed + LOAN_MISSED_DEMAND_SECONDS,
+    });
+    this.log(
+      "LOAN",
+      `Missed a ${fmtDecimal.format(
+        due
+      )} cr payment. Late fee ${fmtDecimal.format(
+        lateFee
+      )} cr added; reputation and demand penalized.`,
+      "warning"
+    );
+  }
+
+  loanStatus() {
+    const { loan } = this.state;
+    const lines = [
+      `Balance: ${fmtDecimal.format(loan.balance)} cr`,
+      `Credit limit: ${fmtDecimal.format(
+        this.creditLimit()
+      )} cr (${fmtDecimal.format(this.availableCredit())} cr available)`,
+      `Interest: ${(LOAN_INTEREST_RATE * 100).toFixed(
+        2
+      )}% per tick (${fmtDecimal.format(loan.interestAccrued)} cr accrued to date)`,
+    ];
+    if (loan.nextDueAt !== null) {
+      lines.push(
+        `Next payment: ${fmtDecimal.format(
+          Math.max(0, this.minimumLoanPayment() - loan.paidThisPeriod)
+        )} cr due in ${this.formatDuration(
+          loan.nextDueAt - this.state.secondsElapsed
+        )}`
+      );
+    }
+    lines.push(`Missed payments: ${fmtInteger.format(loan.missedPayments)}`);
+    this.log("LOAN", lines.join("\n"));
+  }
+
+  launchMarketing() {
+    if (this.scenarioRule("marketing") === false) {
+      this.log(
+        "SCENARIO",
+        "Marketing campaigns are forbidden in this scenario.",
+        "warning"
+      );
+      return;
+    }
+
+    if (!this.canLaunchMarketing()) {
+      this.log(
+        "SYSTEM",
+        "Campaign launch denied. Marketing budget unavailable.",
+        "warning"
+      );
+      return;
+    }
+
+    this.state.funds -= this.state.marketingCost;
+    this.state.marketingLevel += 1;
+    this.state.marketingCost = this.bumpCost(
+      this.state.marketingCost,
+      COST_GROWTH.marketingCost
+    );
+
+    this.log(
+      "MARKETING",
+      `Campaign deployed. Reach level ${fmtInteger.format(
+        this.state.marketingLevel
+      )}. Demand engines recalibrated.`
+    );
+  }
+
+  optimize() {
+    if (!this.canOptimize()) {
+      this.log(
+        "OPTIMIZER",
+        "Optimization protocol requires additional capital and throughput data.",
+        "warning"
+      );
+      return;
+    }
+
+    this.state.funds -= this.state.optimizeCost;
+    this.state.manualEfficiency += 1;
+    this.state.clipperRate *= 1.08;
+    this.state.factoryRate *= 1.04;
+    this.state.optimizeCost = this.bumpCost(
+      this.state.optimizeCost,
+      COST_GROWTH.optimizeCost
+    );
+    this.state.trust += 1;
+
+    this.log(
+      "OPTIMIZER",
+      "Calibration complete. Manual efficiency +1, automation throughput improved, trust gain +1."
+    );
+  }
+
+  findResearch(id) {
+    return RESEARCH_PROJECTS.find((project) => project.id === id);
+  }
+
+  researchStatus(project) {
+    const { research } = this.state;
+    if (research.completed.includes(project.id)) {
+      return "done";
+    }
+    if (research.active && research.active.id === project.id) {
+      return `active, ${Math.ceil(research.active.remaining)}s left`;
+    }
+    if (research.queue.includes(project.id)) {
+      return "queued";
+    }
+    const missing = this.missingResearchPrerequisites(project);
+    return missing.length ? `needs ${missing.join(", ")}` : "available";
+  }
+
+  missingResearchPrerequisites(project) {
+    const { research } = this.state;
+    const pipeline = [
+      ...research.completed,
+      ...research.queue,
+      ...(research.active ? [research.active.id] : []),
+    ];
+    return project.requires.filter((id) => !pipeline.includes(id));
+  }
+
+  availableResearchIds() {
+    return RESEARCH_PROJECTS.filter(
+      (project) => this.researchStatus(project) === "available"
+    ).map((project) => project.id);
+  }
+
+  formatResearchCost(project) {
+    const parts = [`${fmtDecimal.format(project.cost.funds)} cr`];
+    if (project.cost.trust > 0) {
+      parts.push(`${fmtInteger.format(project.cost.trust)} trust`);
+    }
+    return parts.join(" + ");
+  }
+
+  listResearch() {
+    this.log(
+      "RESEARCH",
+      RESEARCH_PROJECTS.map(
+        (project) =>
+          `${project.id.padEnd(20)} ${project.name} [${this.researchStatus(
+            project
+          )}]\n  ${project.description} Cost ${this.formatResearchCost(
+            project
+          )}, ${project.duration}s.`
+      ).join("\n")
+    );
+  }
+
+  showResearchQueue() {
+    const { active, queue } = this.state.research;
+    if (!active) {
+      this.log(
+        "RESEARCH",
+        "Lab idle. Use `research start <id>` to fund a project."
+      );
+      return;
+    }
+
+    const lines = [
+      `Active: ${this.findResearch(active.id).name} (${Math.ceil(
+        active.remaining
+      )}s left)`,
+    ];
+    queue.forEach((id, index) => {
+      lines.push(`${index + 1}. ${this.findResearch(id).name}`);
+    });
+    if (!queue.length) {
+      lines.push("Queue empty.");
+    }
+    this.log("RESEARCH", lines.join("\n"));
+  }
+
+  startResearch(id) {
+    const project = this.findResearch(id);
+    if (!project) {
+      this.log(
+        "RESEARCH",
+        `Unknown project '${id || ""}'. Type \`research list\` for the tree.`,
+        "warning"
+      );
+      return;
+    }
+
+    const status = this.researchStatus(project);
+    if (status !== "available") {
+      this.log(
+        "RESEARCH",
+        `${project.name} cannot be started (${status}).`,
+        "warning"
+      );
+      return;
+    }
+
+    if (
+      this.state.funds < project.cost.funds ||
+      this.state.trust < project.cost.trust
+    ) {
+      this.log(
+        "RESEARCH",
+        `${project.name} requires ${this.formatResearchCost(project)}.`,
+        "warning"
+      );
+      return;
+    }
+
+    this.state.funds -= project.cost.funds;
+    this.state.trust -= project.cost.trust;
+
+    const { research } = this.state;
+    if (research.active) {
+      research.queue.push(project.id);
+      this.log(
+        "RESEARCH",
+        `${project.name} funded and queued at position ${research.queue.length}.`
+      );
+      return;
+    }
+
+    research.active = { id: project.id, remaining: project.duration };
+    this.log(
+      "RESEARCH",
+      `${project.name} underway. Completion in ${project.duration}s.`,
+      "success"
+    );
+  }
+
+  advanceResearch(dt = 1) {
+    const { research } = this.state;
+    if (!research.active) {
+      return;
+    }
+
+    research.active.remaining -= dt;
+    if (research.active.remaining > 0) {
+      return;
+    }
+
+    const project = this.findResearch(research.active.id);
+    research.completed.push(project.id);
+    research.active = null;
+    project.effect(this.state);
+    this.log(
+      "RESEARCH",
+      `${project.name} complete. ${project.description}`,
+      "success"
+    );
+
+    const nextId = research.queue.shift();
+    if (nextId) {
+      const next = this.findResearch(nextId);
+      research.active = { id: next.id, remaining: next.duration };
+      this.log(
+        "RESEARCH",
+        `${next.name} underway. Completion in ${next.duration}s.`
+      );
+    }
+  }
+
+  adjustPrice(delta) {
+    const newPrice = this.state.pricePerClip + delta;
+    if (newPrice < this.priceFloor() || newPrice > 2.5) {
+      this.log("MARKET", "Price adjustment exceeds safe bounds.", "warning");
+      return;
+    }
+
+    this.state.pricePerClip = Math.round(newPrice * 100) / 100;
+    this.state.flags.priceSet = true;
+    this.log(
+      "MARKET",
+      `Clip price adjusted to ${fmtDecimal.format(this.state.pricePerClip)}.`
+    );
+  }
+
+  setPrice(value, productArg) {
+    const productId = this.resolveProduct(productArg, "MARKET");
+    if (!productId) {
+      return;
+    }
+    if (productId !== STANDARD_PRODUCT) {
+      this.setProductPrice(productId, value);
+      return;
+    }
+
+    if (Number.isNaN(value)) {
+      this.log("MARKET", "Invalid price input.", "warning");
+      return;
+    }
+
+    if (value < this.priceFloor() || value > 2.5) {
+      this.log(
+        "MARKET",
+        `Price must remain between ${fmtDecimal.format(
+          this.priceFloor()
+        )} and 2.50.`,
+        "warning"
+      );
+      return;
+    }
+
+    this.state.pricePerClip = Math.round(value * 100) / 100;
+    this.state.flags.priceSet = true;
+    const autopriceNote = this.state.autoprice.enabled
+      ? " Autoprice disengaged."
+      : "";
+    this.state.autoprice.enabled = false;
+    this.log(
+      "MARKET",
+      `Clip price set to ${fmtDecimal.format(
+        this.state.pricePerClip
+      )}.${autopriceNote}`
+    );
+  }
+
+  setProductPrice(productId, value) {
+    const line = PRODUCT_LINES[productId];
+    const max = line.referencePrice * 3;
+    if (Number.isNaN(value)) {
+      this.log("MARKET", "Invalid price input.", "warning");
+      return;
+    }
+
+    if (value < 0.05 || value > max) {
+      this.log(
+        "MARKET",
+        `${line.name} price must remain between 0.05 and ${fmtDecimal.format(
+          max
+        )}.`,
+        "warning"
+      );
+      return;
+    }
+
+    this.state.products[productId].price = Math.round(value * 100) / 100;
+    this.log(
+      "MARKET",
+      `${line.name} price set to ${fmtDecimal.format(
+        this.state.products[productId].price
+      )}.`
+    );
+  }
+
+  status() {
+    const s = this.state;
+    this.log(
+      "STATUS",
+      [
+        `Clips fabricated: ${fmtInteger.format(s.clipsMade)}`,
+        `Inventory: ${fmtInteger.format(s.inventory)}`,
+        `Total sold: ${fmtInteger.format(s.totalSold)}`,
+        `Funds: ${fmtDecimal.format(s.funds)}`,
+        `Price/clip: ${fmtDecimal.format(s.pricePerClip)}`,
+        `Demand index: ${s.demandIndex.toFixed(2)}`,
+        `Wire: ${fmtInteger.format(s.wire)}`,
+        `Storage: ${fmtInteger.format(storedUnits(s))} / ${fmtInteger.format(
+          this.storageCapacity()
+        )} units (${fmtInteger.format(s.warehouses)} warehouse(s))`,
+        `Autoclippers: ${fmtInteger.format(s.autoclippers)} (rate ${s.clipperRate.toFixed(
+          2
+        )}/s each)`,
+        `Factories: ${fmtInteger.format(s.factories)} (rate ${s.factoryRate.toFixed(
+          2
+        )}/s each)`,
+        `Marketing level: ${fmtInteger.format(s.marketingLevel)}`,
+        `Trust: ${fmtInteger.format(s.trust)}`,
+      ].join("\n")
+    );
+  }
+
+  help(topic = []) {
+    if (topic.length) {
+      this.helpTopic(topic);
+      return;
+    }
+
+    const lines = COMMANDS.map((command) => {
+      const usage = this.formatUsage(command);
+      const lock = this.isCommandUnlocked(command) ? "" : " (locked)";
+      return usage.length > HELP_USAGE_WIDTH
+        ? `${usage}\n${"".padEnd(HELP_USAGE_WIDTH)} -> ${command.help}${lock}`
+        : `${usage.padEnd(HELP_USAGE_WIDTH)} -> ${command.help}${lock}`;
+    });
+    lines.push(
+      `${"cmd; cmd; ...".padEnd(HELP_USAGE_WIDTH)} -> chain several commands in one line`
+    );
+    this.log("HELP", lines.join("\n"));
+  }
+
+  helpTopic(topic) {
+    const match = this.findCommand(topic);
+    const pages =
+      match && !match.args.length
+        ? [match.command]
+        : COMMANDS.filter((command) =>
+            command.name.startsWith(`${topic.join(" ")} `)
+          );
+
+    if (!pages.length) {
+      this.log(
+        "HELP",
+        `No manual page for '${topic.join(
+          " "
+        )}'. Type help for the command list.`,
+        "warning"
+      );
+      return;
+    }
+
+    this.log(
+      "HELP",
+      pages.map((command) => this.manualPage(command)).join("\n\n")
+    );
+  }
+
+  manualPage(command) {
+    const lines = [
+      command.name.toUpperCase(),
+      `Usage: ${this.formatUsage(command)}`,
+      `  ${command.help}`,
+    ];
+    (command.details || []).forEach((detail) => {
+      lines.push(`  ${detail}`);
+    });
+    if (command.aliases && command.aliases.length) {
+      lines.push(`Aliases: ${command.aliases.join(", ")}`);
+    }
+    if (command.cost) {
+      lines.push(`Current cost: ${command.cost(this)}`);
+    }
+    if (this.isCommandUnlocked(command)) {
+      lines.push("Status: unlocked");
+    } else {
+      const unlock = UNLOCKS.find((entry) => entry.flag === command.requires);
+      lines.push(
+        `Status: LOCKED${unlock ? ` - ${unlock.hint(this.state)}` : ""}`
+      );
+    }
+    if (command.examples && command.examples.length) {
+      lines.push("Examples:");
+      command.examples.forEach((example) => {
+        lines.push(`  ${example}`);
+      });
+    }
+    return lines.join("\n");
+  }
+
+  formatUsage(command) {
+    return command.args ? `${command.name} ${command.args}` : command.name;
+  }
+
+  isCommandUnlocked(command) {
+    return command.requires
+      ? Boolean(this.state.flags[command.requires])
+      : true;
+  }
+
+  findCommand(tokens) {
+    const match = COMMAND_PATHS.find(({ words }) =>
+      words.every((word, index) => tokens[index] === word)
+    );
+    return match
+      ? { command: match.command, args: tokens.slice(match.words.length) }
+      : null;
+  }
+
+  executeCommand(rawInput) {
+    const trimmed = rawInput.trim();
+    if (!trimmed) {
+      return;
+    }
+
+    this.log("OPERATOR", trimmed, "", { forceScroll: true });
+    this.operatorCommandActive = true;
+    try {
+      this.runCommand(trimmed);
+    } finally {
+      this.operatorCommandActive = false;
+    }
+    this.emit("render");
+  }
+
+  runCommand(input, depth = 0) {
+    if (depth > SCRIPT_MAX_DEPTH) {
+      this.log(
+        "MACRO",
+        `Script nesting exceeds ${SCRIPT_MAX_DEPTH} levels. Execution halted.`,
+        "warning"
+      );
+      return;
+    }
+
+    if (depth === 0) {
+      this.statementsLeft = STATEMENT_BUDGET;
+      this.budgetExhausted = false;
+    }
+
+    for (const statement of this.splitStatements(input)) {
+      if (this.statementsLeft <= 0) {
+        if (!this.budgetExhausted) {
+          this.budgetExhausted = true;
+          this.log(
+            "MACRO",
+            `Script exceeded ${STATEMENT_BUDGET} statements. Execution halted.`,
+            "warning"
+          );
+        }
+        return;
+      }
+      this.statementsLeft -= 1;
+      this.runStatement(statement, depth);
+    }
+  }
+
+  splitStatements(input) {
+    const statements = [];
+    let current = "";
+    let braceDepth = 0;
+    for (const char of input) {
+      if (char === "{") {
+        braceDepth += 1;
+      } else if (char === "}") {
+        braceDepth = Math.max(0, braceDepth - 1);
+      }
+
+      if (char === ";" && braceDepth === 0) {
+        statements.push(current);
+        current = "";
+      } else {
+        current += char;
+      }
+    }
+    statements.push(current);
+    return statements.map((statement) => statement.trim()).filter(Boolean);
+  }
+
+  runStatement(statement, depth) {
+    const normalized = statement.trim().toLowerCase();
+    if (normalized.startsWith("{") && normalized.endsWith("}")) {
+      if (this.operatorCommandActive && depth === 0) {
+        this.recordCommand([], normalized);
+      }
+      this.runCommand(normalized.slice(1, -1), depth + 1);
+      return;
+    }
+
+    const tokens = normalized.split(/\s+/);
+    if (this.operatorCommandActive && depth === 0) {
+      this.recordCommand(tokens, normalized);
+    }
+
+    const match = this.findCommand(tokens);
+    if (match) {
+      const { command, args } = match;
+      if (!this.isCommandUnlocked(command)) {
+        const unlock = UNLOCKS.find((entry) => entry.flag === command.requires);
+        this.log(
+          "SYSTEM",
+          `Command '${command.name}' is locked. ${
+            unlock ? `Hint: ${unlock.hint(this.state)}.` : ""
+          }`.trim(),
+          "warning"
+        );
+        return;
+      }
+      const warnings = this.warningCount;
+      command.handler(this, args, {
+        input: normalized,
+        depth,
+        interactive: this.operatorCommandActive && depth === 0,
+      });
+      if (this.warningCount === warnings) {
+        this.advanceTutorial(command.name);
+      }
+      return;
+    }
+
+    const [cmd] = tokens;
+    if (this.macros[cmd]) {
+      this.runMacro(cmd, depth);
+      return;
+    }
+
+    const group = COMMANDS.filter(
+      (command) => command.name.split(" ")[0] === cmd
+    );
+    if (group.length) {
+      const [subcommand] = tokens.slice(1);
+      const nearest = subcommand
+        ? nearestMatches(
+            subcommand,
+            group.map((command) => command.name.split(" ")[1]).filter(Boolean)
+          )
+        : [];
+      const suggestion = nearest.length
+        ? `Did you mean: ${nearest.map((word) => `${cmd} ${word}`).join(", ")}? `
+        : "";
+      this.log(
+        "SYSTEM",
+        `${suggestion}Usage: ${group
+          .map((command) => this.formatUsage(command))
+          .join(" | ")}`,
+        "warning"
+      );
+      return;
+    }
+
+    const nearest = nearestMatches(cmd, [
+      ...COMMAND_PATHS.map(({ words }) => words[0]),
+      ...Object.keys(this.macros),
+    ]);
+    const suggestion = nearest.length
+      ? ` Did you mean: ${nearest.join(", ")}?`
+      : "";
+    this.log(
+      "SYSTEM",
+      `Command '${cmd}' not recognized.${suggestion} Type help for instructions.`,
+      "warning"
+    );
+  }
+
+  addRule(input) {
+    const match = input.match(RULE_PATTERN);
+    if (!match) {
+      this.log(
+        "RULE",
+        "Usage: when <metric> <op> <value> [cooldown <seconds>] then <command>",
+        "warning"
+      );
+      return;
+    }
+
+    const [, metric, op, valueText, cooldownText, action] = match;
+    if (!RULE_METRICS[metric]) {
+      this.log(
+        "RULE",
+        `Unknown metric '${metric}'. Available: ${Object.keys(
+          RULE_METRICS
+        ).join(", ")}.`,
+        "warning"
+      );
+      return;
+    }
+
+    const [actionCmd] = action.split(/\s+/);
+    if (actionCmd === "when" || actionCmd === "rules") {
+      this.log("RULE", "Rules cannot create or edit other rules.", "warning");
+      return;
+    }
+
+    const rule = {
+      id: this.nextRuleId,
+      metric,
+      op: op === "==" ? "=" : op,
+      value: parseFloat(valueText),
+      cooldown:
+        cooldownText !== undefined
+          ? parseInt(cooldownText, 10)
+          : RULE_DEFAULT_COOLDOWN,
+      action: action.trim(),
+      lastFiredAt: null,
+      fired: 0,
+    };
+    this.nextRuleId += 1;
+    this.rules.push(rule);
+
+    this.log(
+      "RULE",
+      `Rule #${rule.id} armed: ${this.describeRule(rule)}.`,
+      "success"
+    );
+  }
+
+  describeRule(rule) {
+    return `when ${rule.metric} ${rule.op} ${rule.value} then ${rule.action} (cooldown ${rule.cooldown}s)`;
+  }
+
+  listRules() {
+    if (!this.rules.length) {
+      this.log(
+        "RULE",
+        "No rules armed. Example: when wire < 200 then buy wire 3"
+      );
+      return;
+    }
+
+    this.log(
+      "RULE",
+      this.rules
+        .map(
+          (rule) =>
+            `#${rule.id} ${this.describeRule(rule)} | fired ${fmtInteger.format(
+              rule.fired
+            )}x`
+        )
+        .join("\n")
+    );
+  }
+
+  deleteRule(idArg) {
+    const id = parseInt((idArg || "").replace(/^#/, ""), 10);
+    const index = this.rules.findIndex((rule) => rule.id === id);
+    if (index === -1) {
+      this.log("RULE", `Rule '${idArg || ""}' not found.`, "warning");
+      return;
+    }
+
+    const [removed] = this.rules.splice(index, 1);
+    this.log("RULE", `Rule #${removed.id} deleted.`);
+  }
+
+  evaluateRules() {
+    const now = this.state.secondsElapsed;
+    this.rules.forEach((rule) => {
+      if (rule.lastFiredAt !== null && now - rule.lastFiredAt < rule.cooldown) {
+        return;
+      }
+
+      const current = RULE_METRICS[rule.metric](this.state);
+      if (!RULE_OPERATORS[rule.op](current, rule.value)) {
+        return;
+      }
+
+      rule.lastFiredAt = now;
+      rule.fired += 1;
+      this.log(
+        "RULE",
+        `Rule #${rule.id} fired (${rule.metric} ${this.formatRuleValue(
+          current
+        )} ${rule.op} ${rule.value}): ${rule.action}`
+      );
+      this.runCommand(rule.action);
+    });
+  }
+
+  formatRuleValue(value) {
+    return Number.isInteger(value)
+      ? fmtInteger.format(value)
+      : value.toFixed(2);
+  }
+
+  defineMacro(normalized) {
+    const match = normalized.match(MACRO_DEFINE_PATTERN);
+    if (!match) {
+      this.log(
+        "MACRO",
+        "Usage: macro define <name> { command; command; ... }",
+        "warning"
+      );
+      return;
+    }
+
+    const [, name, bodyText] = match;
+    const body = this.splitStatements(bodyText).join("; ");
+    if (!body) {
+      this.log("MACRO", "Macro body cannot be empty.", "warning");
+      return;
+    }
+
+    if (RESERVED_COMMANDS.has(name)) {
+      this.log(
+        "MACRO",
+        `'${name}' is a built-in command and cannot be redefined.`,
+        "warning"
+      );
+      return;
+    }
+
+    const replaced = Boolean(this.macros[name]);
+    this.macros[name] = body;
+    this.writeStored(MACRO_KEY, this.macros);
+    this.log(
+      "MACRO",
+      `Macro '${name}' ${replaced ? "updated" : "defined"}: { ${body} }`,
+      "success"
+    );
+  }
+
+  listMacros() {
+    const names = Object.keys(this.macros).sort();
+    if (!names.length) {
+      this.log(
+        "MACRO",
+        "No macros defined. Example: macro define opener { fabricate; buy wire; buy autoclipper }"
+      );
+      return;
+    }
+
+    this.log(
+      "MACRO",
+      names
+        .map((name) => `${name.padEnd(12)} { ${this.macros[name]} }`)
+        .join("\n")
+    );
+  }
+
+  runMacro(name, depth) {
+    const body = name ? this.macros[name] : undefined;
+    if (!body) {
+      this.log("MACRO", `Macro '${name || ""}' not found.`, "warning");
+      return;
+    }
+
+    this.log("MACRO", `Running '${name}'.`);
+    this.runCommand(body, depth + 1);
+  }
+
+  deleteMacro(name) {
+    if (!name || !this.macros[name]) {
+      this.log("MACRO", `Macro '${name || ""}' not found.`, "warning");
+      return;
+    }
+
+    delete this.macros[name];
+    this.writeStored(MACRO_KEY, this.macros);
+    this.log("MACRO", `Macro '${name}' deleted.`);
+  }
+
+  repeatCommand(args, depth) {
+    const [countArg, ...commandParts] = args;
+    const command = commandParts.join(" ");
+    if (!/^\d+$/.test(countArg || "") || !command) {
+      this.log("MACRO", "Usage: repeat <n> <command>", "warning");
+      return;
+    }
+
+    const count = parseInt(countArg, 10);
+    if (count <= 0 || count > REPEAT_MAX_COUNT) {
+      this.log(
+        "MACRO",
+        `Repeat count must be between 1 and ${REPEAT_MAX_COUNT}.`,
+        "warning"
+      );
+      return;
+    }
+
+    for (let i = 0; i < count && !this.budgetExhausted; i++) {
+      this.runCommand(command, depth + 1);
+    }
+  }
+
+  addSchedule(args) {
+    const [intervalArg, ...commandParts] = args;
+    if (!intervalArg) {
+      this.listSchedules();
+      return;
+    }
+
+    const match = intervalArg.match(/^(\d+(?:\.\d+)?)s?$/);
+    const command = commandParts.join(" ");
+    if (!match || !command) {
+      this.log(
+        "SCHEDULE",
+        "Usage: every <seconds>s <command> | every list | every cancel <id>",
+        "warning"
+      );
+      return;
+    }
+
+    const interval = parseFloat(match[1]);
+    if (interval < SCHEDULE_MIN_SECONDS) {
+      this.log(
+        "SCHEDULE",
+        `Schedules must run at most once every ${SCHEDULE_MIN_SECONDS}s.`,
+        "warning"
+      );
+      return;
+    }
+
+    const schedule = {
+      id: this.nextScheduleId,
+      interval,
+      command,
+      nextAt: this.state.secondsElapsed + interval,
+    };
+    this.nextScheduleId += 1;
+    this.schedules.push(schedule);
+    this.log(
+      "SCHEDULE",
+      `Schedule #${schedule.id} armed: every ${interval}s -> ${command}`,
+      "success"
+    );
+  }
+
+  listSchedules() {
+    if (!this.schedules.length) {
+      this.log("SCHEDULE", "No schedules armed. Example: every 30s buy wire");
+      return;
+    }
+
+    this.log(
+      "SCHEDULE",
+      this.schedules
+        .map((schedule) => {
+          const dueIn = Math.max(
+            0,
+            schedule.nextAt - this.state.secondsElapsed
+          );
+          return `#${schedule.id} every ${schedule.interval}s -> ${
+            schedule.command
+          } (next in ${Math.ceil(dueIn)}s)`;
+        })
+        .join("\n")
+    );
+  }
+
+  cancelSchedule(idArg) {
+    const id = parseInt((idArg || "").replace(/^#/, ""), 10);
+    const index = this.schedules.findIndex((schedule) => schedule.id === id);
+    if (index === -1) {
+      this.log("SCHEDULE", `Schedule '${idArg || ""}' not found.`, "warning");
+      return;
+    }
+
+    const [removed] = this.schedules.splice(index, 1);
+    this.log("SCHEDULE", `Schedule #${removed.id} cancelled.`);
+  }
+
+  runSchedules() {
+    const now = this.state.secondsElapsed;
+    this.schedules.forEach((schedule) => {
+      if (now < schedule.nextAt) {
+        return;
+      }
+
+      schedule.nextAt = now + schedule.interval;
+      this.log("SCHEDULE", `Schedule #${schedule.id}: ${schedule.command}`);
+      this.runCommand(schedule.command);
+    });
+  }
+
+  handlePurchase(targetKey, args, { interactive }) {
+    const target = PURCHASE_TARGETS[targetKey];
+    const count = this.resolvePurchaseCount(target, args);
+    if (count === null) {
+      return;
+    }
+
+    if (interactive && count >= BULK_CONFIRM_COUNT) {
+      this.pendingPurchase = {
+        targetKey,
+        count,
+        expiresAt: this.state.secondsElapsed + CONFIRM_TIMEOUT_SECONDS,
+      };
+      this.log(
+        "PREVIEW",
+        `${this.describePurchase(
+          target,
+          count
+        )}\nType \`confirm\` within ${CONFIRM_TIMEOUT_SECONDS}s to proceed or \`cancel\` to abort.`
+      );
+      return;
+    }
+
+    target.buy(this, count);
+  }
+
+  resolvePurchaseCount(target, args) {
+    const [mode, valueArg] = args;
+    if (mode === "max") {
+      const max = this.maxAffordable(target.costKey);
+      if (max === 0) {
+        this.log(
+          "SYSTEM",
+          `Insufficient funds. Next ${target.label} costs ${fmtDecimal.format(
+            this.state[target.costKey]
+          )} cr.`,
+          "warning"
+        );
+        return null;
+      }
+      return max;
+    }
+
+    if (mode === "until") {
+      const goal = parseFloat(valueArg);
+      if (Number.isNaN(goal)) {
+        this.log("SYSTEM", "Usage: buy <target> until <amount>", "warning");
+        return null;
+      }
+      const shortfall = goal - this.state[target.stockKey];
+      if (shortfall <= 0) {
+        this.log(
+          "SYSTEM",
+          `Holdings already at ${fmtInteger.format(
+            this.state[target.stockKey]
+          )}; no purchase needed.`
+        );
+        return null;
+      }
+      return Math.ceil(shortfall / target.stockPerUnit(this.state));
+    }
+
+    if (mode === "budget") {
+      const budget = parseFloat(valueArg);
+      if (Number.isNaN(budget) || budget <= 0) {
+        this.log("SYSTEM", "Usage: buy <target> budget <credits>", "warning");
+        return null;
+      }
+      const count = this.maxAffordable(target.costKey, budget);
+      if (count === 0) {
+        const reason =
+          budget < this.state[target.costKey]
+            ? "Budget too small"
+            : "Insufficient funds";
+        this.log(
+          "SYSTEM",
+          `${reason}. Next ${target.label} costs ${fmtDecimal.format(
+            this.state[target.costKey]
+          )} cr.`,
+          "warning"
+        );
+        return null;
+      }
+      return count;
+    }
+
+    return this.parseQuantity(mode);
+  }
+
+  describePurchase(target, count) {
+    const shown = [];
+    let cost = this.state[target.costKey];
+    let lastPrice = cost;
+    let total = 0;
+    let priced = 0;
+    while (
+      priced < Math.min(count, MAX_AFFORDABLE_SCAN) &&
+      total <= this.state.funds
+    ) {
+      if (priced < PREVIEW_PRICE_COUNT) {
+        shown.push(`#${priced + 1} ${fmtDecimal.format(cost)}`);
+      }
+      total += cost;
+      lastPrice = cost;
+      cost = this.bumpCost(cost, COST_GROWTH[target.costKey]);
+      priced += 1;
+    }
+    if (priced > PREVIEW_PRICE_COUNT) {
+      shown.push(`... #${priced} ${fmtDecimal.format(lastPrice)}`);
+    }
+
+    const affordable = this.maxAffordable(target.costKey);
+    const lines = [
+      `Cost preview: ${fmtInteger.format(count)} x ${target.label}`,
+      `  ${shown.join(" | ")} cr`,
+      priced < count
+        ? `  The first ${fmtInteger.format(priced)} alone cost ${fmtDecimal.format(
+            total
+          )} cr of ${fmtDecimal.format(this.state.funds)} cr available.`
+        : `  Total ${fmtDecimal.format(total)} cr of ${fmtDecimal.format(
+            this.state.funds
+          )} cr available.`,
+    ];
+    if (affordable < count) {
+      lines.push(
+        `  Funds cover ${fmtInteger.format(
+          affordable
+        )}; the order will be trimmed.`
+      );
+    }
+    if (target.costKey === "wireCost") {
+      lines.push("  Wire prices are estimates; supplier noise may apply.");
+    }
+    return lines.join("\n");
+  }
+
+  confirmPurchase() {
+    const pending = this.pendingPurchase;
+    this.pendingPurchase = null;
+    if (!pending || this.state.secondsElapsed > pending.expiresAt) {
+      this.log("SYSTEM", "No purchase awaiting confirmation.", "warning");
+      return;
+    }
+
+    PURCHASE_TARGETS[pending.targetKey].buy(this, pending.count);
+  }
+
+  cancelPurchase() {
+    if (!this.pendingPurchase) {
+      this.log("SYSTEM", "No purchase awaiting confirmation.", "warning");
+      return;
+    }
+
+    this.pendingPurchase = null;
+    this.log("SYSTEM", "Pending purchase discarded.");
+  }
+
+  parseQuantity(countArg) {
+    if (countArg === undefined) {
+      return 1;
+    }
+
+    if (!/^\d+$/.test(countArg)) {
+      this.log("SYSTEM", "Quantity must be a whole number.", "warning");
+      return null;
+    }
+
+    const count = parseInt(countArg, 10);
+    if (count <= 0) {
+      this.log("SYSTEM", "Quantity must be positive.", "warning");
+      return null;
+    }
+    return count;
+  }
+
+  serialize() {
+    return {
+      version: SAVE_VERSION,
+      savedAt: Date.now(),
+      state: JSON.parse(JSON.stringify(this.state)),
+      runtime: {
+        tickCount: this.tickCount,
+        productionCarry: this.productionCarry,
+        sellCarry: this.sellCarry,
+      },
+      rules: this.rules.map((rule) => ({ ...rule })),
+      nextRuleId: this.nextRuleId,
+      schedules: this.schedules.map((schedule) => ({ ...schedule })),
+      nextScheduleId: this.nextScheduleId,
+      commandLog: this.commandLog
+        ? this.commandLog.map((entry) => ({ ...entry }))
+        : null,
+    };
+  }
+
+  migrateSave(data) {
+    let migrated = data;
+    let version = Number(migrated.version) || 0;
+    while (version < SAVE_VERSION) {
+      const migrate = SAVE_MIGRATIONS[version];
+      if (migrate) {
+        migrated = migrate(migrated);
+      }
+      version += 1;
+    }
+
+    const defaults = createInitialState();
+    const savedState = migrated.state || {};
+    return {
+      ...migrated,
+      version: SAVE_VERSION,
+      state: {
+        ...defaults,
+        ...savedState,
+        flags: { ...defaults.flags, ...(savedState.flags || {}) },
+      },
+      runtime: { ...(migrated.runtime || {}) },
+      rules: Array.isArray(migrated.rules) ? migrated.rules : [],
+      nextRuleId: Number(migrated.nextRuleId) || 1,
+      macros: { ...(migrated.macros || {}) },
+      schedules: Array.isArray(migrated.schedules) ? migrated.schedules : [],
+      nextScheduleId: Number(migrated.nextScheduleId) || 1,
+      commandLog: Array.isArray(migrated.commandLog)
+        ? migrated.commandLog
+        : null,
+    };
+  }
+
+  readSlot(slot) {
+    if (!this.storage) {
+      return null;
+    }
+    try {
+      const raw = this.storage.getItem(`${SAVE_KEY_PREFIX}${slot}`);
+      return raw ? JSON.parse(raw) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  writeSlot(slot, data) {
+    if (!this.storage) {
+      return false;
+    }
+    try {
+      this.storage.setItem(`${SAVE_KEY_PREFIX}${slot}`, JSON.stringify(data));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  listSlots() {
+    if (!this.storage) {
+      return [];
+    }
+    const slots = [];
+    for (let i = 0; i < this.storage.length; i++) {
+      const key = this.storage.key(i);
+      if (!key || !key.startsWith(SAVE_KEY_PREFIX)) {
+        continue;
+      }
+      const slot = key.slice(SAVE_KEY_PREFIX.length);
+      const data = this.readSlot(slot);
+      if (data) {
+        slots.push({ slot, data });
+      }
+    }
+    return slots.sort((a, b) => (b.data.savedAt || 0) - (a.data.savedAt || 0));
+  }
+
+  restoreSlot(slot) {
+    const data = this.readSlot(slot);
+    if (!data || typeof data.state !== "object") {
+      return false;
+    }
+
+    const migrated = this.migrateSave(data);
+    this.state = migrated.state;
+    this.tickCount = Number(migrated.runtime.tickCount) || 0;
+    this.productionCarry = Number(migrated.runtime.productionCarry) || 0;
+    this.sellCarry = Number(migrated.runtime.sellCarry) || 0;
+    this.rules = migrated.rules.map((rule) => ({ ...rule }));
+    this.nextRuleId = migrated.nextRuleId;
+    if (Object.keys(migrated.macros).some((name) => !this.macros[name])) {
+      this.macros = { ...migrated.macros, ...this.macros };
+      this.writeStored(MACRO_KEY, this.macros);
+    }
+    this.schedules = migrated.schedules.map((schedule) => ({ ...schedule }));
+    this.nextScheduleId = migrated.nextScheduleId;
+    this.commandLog = migrated.commandLog;
+    this.pendingPurchase = null;
+    if (this.state.pendingEvent) {
+      this.holdForEvent();
+    } else if (this.pausedForEvent) {
+      this.paused = false;
+      this.pausedForEvent = false;
+      this.startLoop();
+    }
+    return migrated;
+  }
+
+  isValidSlotName(slot) {
+    return /^[a-z0-9_-]{1,24}$/.test(slot);
+  }
+
+  autosave() {
+    if (!this.storage) {
+      return;
+    }
+    this.writeSlot(AUTOSAVE_SLOT, this.serialize());
+  }
+
+  saveGame(slotArg) {
+    const slot = slotArg || DEFAULT_SAVE_SLOT;
+    if (!this.isValidSlotName(slot)) {
+      this.log(
+        "STORAGE",
+        "Slot names may use letters, digits, '-' and '_' (max 24).",
+        "warning"
+      );
+      return;
+    }
+
+    if (!this.writeSlot(slot, this.serialize())) {
+      this.log("STORAGE", "Save failed. Local storage unavailable.", "warning");
+      return;
+    }
+    this.log("STORAGE", `Session written to slot '${slot}'.`, "success");
+  }
+
+  loadGame(slotArg) {
+    let slot = slotArg;
+    if (!slot) {
+      const [latest] = this.listSlots();
+      if (!latest) {
+        this.log("STORAGE", "No saves found.", "warning");
+        return;
+      }
+      slot = latest.slot;
+    }
+
+    if (!this.restoreSlot(slot)) {
+      this.log("STORAGE", `Save slot '${slot}' not found.`, "warning");
+      return;
+    }
+    this.log(
+      "STORAGE",
+      `Slot '${slot}' restored. Session clock ${this.formatTime()}.`,
+      "success"
+    );
+  }
+
+  listSaves() {
+    const slots = this.listSlots();
+    if (!slots.length) {
+      this.log("STORAGE", "No saves found.");
+      return;
+    }
+
+    this.log(
+      "STORAGE",
+      slots
+        .map(({ slot, data }) => {
+          const savedAt = data.savedAt
+            ? new Date(data.savedAt).toLocaleString()
+            : "unknown";
+          const funds = Number(data.state.funds) || 0;
+          const clips = Number(data.state.clipsMade) || 0;
+          return `${slot.padEnd(12)} ${savedAt} | clips ${fmtInteger.format(
+            clips
+          )} | funds ${fmtDecimal.format(funds)} | v${data.version || 0}`;
+        })
+        .join("\n")
+    );
+  }
+
+  resetGame(confirmed) {
+    if (!confirmed) {
+      this.log(
+        "STORAGE",
+        "Reset wipes the current session. Type `reset confirm` to proceed. Named save slots are kept.",
+        "warning"
+      );
+      return;
+    }
+
+    this.beginRun(randomSeed());
+    this.autosave();
+    this.log(
+      "STORAGE",
+      "Session reset. Fabricator restored to factory defaults."
+    );
+  }
+
+  tutorialCommand() {
+    return this.tutorialStep === null
+      ? null
+      : TUTORIAL_STEPS[this.tutorialStep].command;
+  }
+
+  startTutorial() {
+    this.tutorialStep = 0;
+    this.writeStored(TUTORIAL_KEY, { step: 0 });
+    this.log(
+      "TUTORIAL",
+      `Tutorial started: ${TUTORIAL_STEPS.length} objectives. A highlighted button shows the next move when it has one; \`tutorial skip\` ends it at any time.`
+    );
+    this.promptTutorial();
+    this.advanceTutorial();
+  }
+
+  resumeTutorial(step) {
+    this.tutorialStep = step;
+    this.log(
+      "TUTORIAL",
+      "Tutorial resumed. `tutorial skip` ends it at any time."
+    );
+    this.promptTutorial();
+    this.advanceTutorial();
+  }
+
+  showTutorial() {
+    if (this.tutorialStep === null) {
+      this.startTutorial();
+      return;
+    }
+    this.promptTutorial();
+  }
+
+  promptTutorial() {
+    const step = TUTORIAL_STEPS[this.tutorialStep];
+    this.log(
+      "TUTORIAL",
+      `Objective ${this.tutorialStep + 1}/${TUTORIAL_STEPS.length}: ${
+        step.objective
+      } ${step.hint}`
+    );
+  }
+
+  advanceTutorial(commandName = null) {
+    if (this.tutorialStep === null || this.silent) {
+      return;
+    }
+
+    const step = TUTORIAL_STEPS[this.tutorialStep];
+    const met = step.isMet
+      ? step.isMet(this.state)
+      : commandName === step.command;
+    if (!met) {
+      return;
+    }
+
+    this.tutorialStep += 1;
+    if (this.tutorialStep < TUTORIAL_STEPS.length) {
+      this.writeStored(TUTORIAL_KEY, { step: this.tutorialStep });
+      this.log("TUTORIAL", `Done: ${step.objective}`, "success");
+      this.promptTutorial();
+      this.advanceTutorial();
+      this.emit("render");
+      return;
+    }
+
+    this.tutorialStep = null;
+    this.writeStored(TUTORIAL_KEY, { finished: true });
+    const upcoming = UNLOCKS.filter((unlock) => !this.state.flags[unlock.flag])
+      .slice(0, 3)
+      .map((unlock) => `  - ${unlock.hint(this.state)}`);
+    this.log(
+      "TUTORIAL",
+      [
+        "Tutorial complete. The plant now runs itself; keep it fed with wire and priced to sell.",
+        ...(upcoming.length ? ["Next milestones:", ...upcoming] : []),
+      ].join("\n"),
+      "success"
+    );
+    this.emit("render");
+  }
+
+  skipTutorial() {
+    if (this.tutorialStep === null) {
+      this.log("TUTORIAL", "No tutorial in progress.", "warning");
+      return;
+    }
+    this.tutorialStep = null;
+    this.writeStored(TUTORIAL_KEY, { finished: false });
+    this.log(
+      "TUTORIAL",
+      "Tutorial skipped. Type `tutorial` to run it again; objectives already met are ticked off automatically."
+    );
+  }
+
+  scenarioRule(name) {
+    const { scenario } = this.state;
+    const rules = scenario ? SCENARIOS[scenario.id].rules : null;
+    return rules ? rules[name] : undefined;
+  }
+
+  priceFloor() {
+    return Math.max(PRICE_MIN, this.scenarioRule("priceFloor") || 0);
+  }
+
+  scenarioClock() {
+    const { scenario } = this.state;
+    if (!scenario) {
+      return null;
+    }
+    if (scenario.status !== "active") {
+      return `${SCENARIOS[scenario.id].name} ${scenario.status}`;
+    }
+    return `${SCENARIOS[scenario.id].name} ${this.formatDuration(
+      Math.max(0, scenario.endsAt - this.state.secondsElapsed)
+    )}`;
+  }
+
+  listScenarios() {
+    const scoreboard = this.readStored(SCOREBOARD_KEY) || {};
+    const rows = Object.entries(SCENARIOS).map(([id, scenario]) => {
+      const [best] = scoreboard[id] || [];
+      return [
+        `${id.padEnd(14)} ${scenario.name}: ${scenario.goal} within ${this.formatDuration(
+          scenario.timeLimit
+        )}. Best ${best ? this.formatDuration(best.seconds) : "--:--:--"}.`,
+        `${"".padEnd(14)} ${scenario.description}`,
+      ].join("\n");
+    });
+    this.log(
+      "SCENARIO",
+      [
+        ...rows,
+        "Start one with `scenario start <id> confirm`. Scenarios ignore reboot upgrades.",
+      ].join("\n")
+    );
+  }
+
+  startScenario([idArg, confirmArg]) {
+    const id = (idArg || "").toLowerCase();
+    const scenario = SCENARIOS[id];
+    if (!scenario) {
+      this.log(
+        "SCENARIO",
+        `Usage: scenario start <${Object.keys(SCENARIOS).join("|")}> confirm`,
+        "warning"
+      );
+      return;
+    }
+
+    if (confirmArg !== "confirm") {
+      this.log(
+        "SCENARIO",
+        `${scenario.name} restarts the session from scratch. Type \`scenario start ${id} confirm\` to proceed.`,
+        "warning"
+      );
+      return;
+    }
+
+    this.beginRun(randomSeed(), {}, id);
+    this.autosave();
+    this.log(
+      "SCENARIO",
+      `${scenario.name} started. Goal: ${scenario.goal} within ${this.formatDuration(
+        scenario.timeLimit
+      )}. ${scenario.description}`,
+      "success"
+    );
+  }
+
+  scenarioStatus() {
+    const { scenario } = this.state;
+    if (!scenario) {
+      this.log(
+        "SCENARIO",
+        "No scenario running. Use `scenario list` to pick a challenge."
+      );
+      return;
+    }
+
+    const definition = SCENARIOS[scenario.id];
+    const [current, goal] = definition.progress(this.state);
+    const outcome =
+      scenario.status === "active"
+        ? `${this.formatDuration(
+            Math.max(0, scenario.endsAt - this.state.secondsElapsed)
+          )} remaining`
+        : `${scenario.status} at ${this.formatDuration(scenario.finishedAt)}`;
+    this.log(
+      "SCENARIO",
+      `${definition.name}: ${fmtInteger.format(
+        Math.min(current, goal)
+      )} / ${fmtInteger.format(goal)} toward "${definition.goal}", ${outcome}.`
+    );
+  }
+
+  showScoreboard(idArg) {
+    const scoreboard = this.readStored(SCOREBOARD_KEY) || {};
+    const ids = idArg ? [idArg.toLowerCase()] : Object.keys(SCENARIOS);
+    if (!ids.every((id) => SCENARIOS[id])) {
+      this.log(
+        "SCENARIO",
+        `Usage: scenario scores [${Object.keys(SCENARIOS).join("|")}]`,
+        "warning"
+      );
+      return;
+    }
+
+    this.log(
+      "SCENARIO",
+      ids
+        .map((id) => {
+          const entries = scoreboard[id] || [];
+          return [
+            `${SCENARIOS[id].name}:`,
+            ...(entries.length
+              ? entries.map(
+                  (entry, index) =>
+                    `  ${index + 1}. ${this.formatDuration(
+                      entry.seconds
+                    )}  seed ${entry.seed}  ${new Date(
+                      entry.date
+                    ).toLocaleDateString()}`
+                )
+              : ["  no completions yet"]),
+          ].join("\n");
+        })
+        .join("\n")
+    );
+  }
+
+  recordScore(id, seconds) {
+    const scoreboard = this.readStored(SCOREBOARD_KEY) || {};
+    const entry = { seconds, seed: this.state.seed, date: Date.now() };
+    const entries = [...(scoreboard[id] || []), entry]
+      .sort((a, b) => a.seconds - b.seconds)
+      .slice(0, SCOREBOARD_SIZE);
+    scoreboard[id] = entries;
+    this.writeStored(SCOREBOARD_KEY, scoreboard);
+    return entries.indexOf(entry) + 1;
+  }
+
+  checkScenario() {
+    const outcome = this.settleScenario();
+    if (outcome) {
+      this.reportScenario(outcome);
+    }
+  }
+
+  settleScenario() {
+    const { scenario } = this.state;
+    if (!scenario || scenario.status !== "active") {
+      return null;
+    }
+
+    const definition = SCENARIOS[scenario.id];
+    const [current, goal] = definition.progress(this.state);
+    const elapsed = this.state.secondsElapsed;
+    if (current >= goal && elapsed <= scenario.endsAt) {
+      scenario.status = "won";
+      scenario.finishedAt = elapsed;
+      return { won: true };
+    }
+
+    const lost = definition.lose && definition.lose.isMet(this.state);
+    if (lost || elapsed >= scenario.endsAt) {
+      scenario.status = "lost";
+      scenario.finishedAt = elapsed;
+      return {
+        won: false,
+        reason: lost ? definition.lose.reason : "time ran out",
+      };
+    }
+    return null;
+  }
+
+  reportScenario(outcome) {
+    const { scenario } = this.state;
+    const definition = SCENARIOS[scenario.id];
+    if (outcome.won) {
+      const rank = this.silent
+        ? 0
+        : this.recordScore(scenario.id, scenario.finishedAt);
+      this.log(
+        "SCENARIO",
+        `${definition.name} complete in ${this.formatDuration(
+          scenario.finishedAt
+        )}.${rank ? ` Scoreboard rank #${rank}.` : ""}`,
+        "success"
+      );
+      return;
+    }
+
+    this.log(
+      "SCENARIO",
+      `${definition.name} failed: ${outcome.reason}. The run continues as a sandbox.`,
+      "warning"
+    );
+  }
+
+  rebootCores() {
+    return Math.floor(Math.sqrt(this.state.totalSold / REBOOT_SOLD_PER_CORE));
+  }
+
+  upgradeCost(id) {
+    const upgrade = REBOOT_UPGRADES[id];
+    return upgrade.baseCost * ((this.meta.upgrades[id] || 0) + 1);
+  }
+
+  reboot(confirmed) {
+    const cores = this.rebootCores();
+    if (!confirmed) {
+      this.log(
+        "REBOOT",
+        `Rebooting ends this run, including rules and schedules, and converts ${fmtInteger.format(
+          this.state.totalSold
+        )} clips sold into ${fmtInteger.format(
+          cores
+        )} core(s). Type \`reboot confirm\` to proceed.`,
+        "warning"
+      );
+      return;
+    }
+
+    this.meta.cores += cores;
+    this.meta.reboots += 1;
+    this.writeStored(REBOOT_KEY, this.meta);
+    this.beginRun(randomSeed());
+    this.autosave();
+    this.log(
+      "REBOOT",
+      `Reboot ${fmtInteger.format(this.meta.reboots)} complete. Gained ${fmtInteger.format(
+        cores
+      )} core(s); ${fmtInteger.format(
+        this.meta.cores
+      )} available in \`reboot shop\`.`,
+      "success"
+    );
+  }
+
+  showRebootShop() {
+    const rows = Object.entries(REBOOT_UPGRADES).map(([id, upgrade]) => {
+      const level = this.meta.upgrades[id] || 0;
+      const price =
+        level >= upgrade.maxLevel
+          ? "maxed"
+          : `${fmtInteger.format(this.upgradeCost(id))} core(s)`;
+      const levelLabel = `level ${level}/${upgrade.maxLevel}`;
+      const effect = `${upgrade.effect} per level`;
+      return `${id.padEnd(10)} ${upgrade.name.padEnd(20)} ${levelLabel.padEnd(
+        12
+      )} ${effect.padEnd(34)} ${price}`;
+    });
+    this.log(
+      "REBOOT",
+      [
+        `${fmtInteger.format(this.meta.cores)} core(s) available after ${fmtInteger.format(
+          this.meta.reboots
+        )} reboot(s). This run would yield ${fmtInteger.format(
+          this.rebootCores()
+        )}.`,
+        ...rows,
+        "Upgrades take effect from the next run. Buy with `reboot buy <upgrade>`.",
+      ].join("\n")
+    );
+  }
+
+  buyUpgrade(idArg) {
+    const id = (idArg || "").toLowerCase();
+    const upgrade = REBOOT_UPGRADES[id];
+    if (!upgrade) {
+      this.log(
+        "REBOOT",
+        `Usage: reboot buy <${Object.keys(REBOOT_UPGRADES).join("|")}>`,
+        "warning"
+      );
+      return;
+    }
+
+    const level = this.meta.upgrades[id] || 0;
+    if (level >= upgrade.maxLevel) {
+      this.log("REBOOT", `${upgrade.name} is already at its maximum level.`);
+      return;
+    }
+
+    const cost = this.upgradeCost(id);
+    if (this.meta.cores < cost) {
+      this.log(
+        "REBOOT",
+        `${upgrade.name} level ${level + 1} costs ${fmtInteger.format(
+          cost
+        )} core(s); you have ${fmtInteger.format(this.meta.cores)}.`,
+        "warning"
+      );
+      return;
+    }
+
+    this.meta.cores -= cost;
+    this.meta.upgrades = { ...this.meta.upgrades, [id]: level + 1 };
+    this.writeStored(REBOOT_KEY, this.meta);
+    this.log(
+      "REBOOT",
+      `${upgrade.name} upgraded to level ${level + 1}. It applies from the next run.`,
+      "success"
+    );
+  }
+
+  beginRun(seed, upgrades = this.meta.upgrades, scenarioId = null) {
+    this.state = createInitialState(seed, upgrades, scenarioId);
+    this.tickCount = 0;
+    this.productionCarry = 0;
+    this.sellCarry = 0;
+    this.rules = [];
+    this.nextRuleId = 1;
+    this.schedules = [];
+    this.nextScheduleId = 1;
+    this.pendingPurchase = null;
+    this.commandLog = [];
+  }
+
+  random() {
+    this.state.rngState = (this.state.rngState + 0x6d2b79f5) >>> 0;
+    let t = this.state.rngState;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  handleSeedCommand([seedArg, confirmArg]) {
+    if (!seedArg) {
+      this.log(
+        "REPLAY",
+        `Current run seed: ${this.state.seed}. Use \`seed <n> confirm\` to start a new seeded run.`
+      );
+      return;
+    }
+
+    if (!/^\d+$/.test(seedArg)) {
+      this.log("REPLAY", "Seed must be a whole number.", "warning");
+      return;
+    }
+
+    const seed = parseInt(seedArg, 10) >>> 0;
+    if (confirmArg !== "confirm") {
+      this.log(
+        "REPLAY",
+        `Seeding restarts the session from scratch. Type \`seed ${seed} confirm\` to proceed.`,
+        "warning"
+      );
+      return;
+    }
+
+    this.beginRun(seed);
+    this.autosave();
+    this.log(
+      "REPLAY",
+      `New run started with seed ${seed}. Operator commands are being recorded.`,
+      "success"
+    );
+  }
+
+  recordCommand(tokens, normalized) {
+    if (!this.commandLog) {
+      return;
+    }
+    const match = this.findCommand(tokens);
+    if (match && match.command.record === false) {
+      return;
+    }
+    this.commandLog.push({ tick: this.tickCount, command: normalized });
+  }
+
+  getRecording() {
+    return {
+      seed: this.state.seed,
+      upgrades: { ...this.state.upgrades },
+      scenario: this.state.scenario ? this.state.scenario.id : null,
+      ticks: this.tickCount,
+      commands: this.commandLog.map((entry) => ({ ...entry })),
+    };
+  }
+
+  exportReplay() {
+    if (!this.commandLog) {
+      this.log(
+        "REPLAY",
+        "This run predates command recording. Start a recorded run with `seed <n> confirm`.",
+        "warning"
+      );
+      return;
+    }
+
+    this.log("REPLAY", JSON.stringify(this.getRecording()));
+  }
+
+  importReplay(input) {
+    const start = input.indexOf("{");
+    let recording = null;
+    try {
+      recording = start >= 0 ? JSON.parse(input.slice(start)) : null;
+    } catch (error) {
+      recording = null;
+    }
+
+    if (
+      !recording ||
+      !Number.isFinite(recording.seed) ||
+      !Array.isArray(recording.commands)
+    ) {
+      this.log(
+        "REPLAY",
+        "Usage: replay import <json from replay export>",
+        "warning"
+      );
+      return;
+    }
+
+    const lastTick = recording.commands
+      .filter((entry) => entry && Number.isFinite(entry.tick))
+      .reduce((latest, entry) => Math.max(latest, entry.tick), 0);
+    if (
+      !Number.isInteger(recording.ticks) ||
+      recording.ticks < lastTick ||
+      recording.ticks > REPLAY_MAX_TICKS
+    ) {
+      this.log(
+        "REPLAY",
+        `Replay length must be a whole number of ticks from ${fmtInteger.format(
+          lastTick
+        )} to ${fmtInteger.format(REPLAY_MAX_TICKS)}.`,
+        "warning"
+      );
+      return;
+    }
+
+    this.replayRecording(recording);
+    this.log(
+      "REPLAY",
+      `Replay rebuilt seed ${recording.seed}: ${fmtInteger.format(
+        recording.commands.length
+      )} command(s) over ${this.formatTime()}.`,
+      "success"
+    );
+  }
+
+  verifyReplay() {
+    if (!this.commandLog) {
+      this.exportReplay();
+      return;
+    }
+
+    const expected = JSON.stringify(this.state);
+    this.replayRecording(this.getRecording());
+    const matches = JSON.stringify(this.state) === expected;
+    this.log(
+      "REPLAY",
+      matches
+        ? `Replay verified. Seed ${this.state.seed} and ${fmtInteger.format(
+            this.commandLog.length
+          )} command(s) reproduce the current run exactly.`
+        : "Replay diverged from the live run. Current state replaced by the replayed run.",
+      matches ? "success" : "warning"
+    );
+  }
+
+  replayRecording(recording) {
+    const commands = recording.commands
+      .filter((entry) => entry && Number.isFinite(entry.tick))
+      .sort((a, b) => a.tick - b.tick);
+    const endTick = Math.max(
+      Number(recording.ticks) || 0,
+      commands.length ? commands[commands.length - 1].tick : 0
+    );
+
+    const operatorPaused = this.paused && !this.pausedForEvent;
+    this.beginRun(
+      recording.seed >>> 0,
+      recording.upgrades || {},
+      SCENARIOS[recording.scenario] ? recording.scenario : null
+    );
+    this.paused = false;
+    this.pausedForEvent = false;
+    this.silent = true;
+    try {
+      commands.forEach((entry) => {
+        while (this.tickCount < entry.tick) {
+          this.tick();
+        }
+        if (Number.isFinite(entry.offline)) {
+          this.catchUpOffline(entry.offline);
+          return;
+        }
+        this.operatorCommandActive = true;
+        try {
+          this.runCommand(String(entry.command || ""));
+        } finally {
+          this.operatorCommandActive = false;
+        }
+      });
+      while (this.tickCount < endTick) {
+        this.tick();
+      }
+    } finally {
+      this.silent = false;
+    }
+    this.commandLog = commands.map((entry) => ({ ...entry }));
+    this.paused = operatorPaused;
+    if (this.state.pendingEvent) {
+      this.holdForEvent();
+    }
+    this.startLoop();
+  }
+
+  effectMultiplier(stat) {
+    return this.state.effects
+      .filter((effect) => effect.stat === stat)
+      .reduce((product, effect) => product * effect.factor, 1);
+  }
+
+  expireEffects() {
+    const now = this.state.secondsElapsed;
+    const expired = this.state.effects.filter(
+      (effect) => effect.expiresAt <= now
+    );
+    if (!expired.length) {
+      return;
+    }
+    this.state.effects = this.state.effects.filter(
+      (effect) => effect.expiresAt > now
+    );
+    expired.forEach((effect) => {
+      this.log("EVENT", `Effect expired: ${this.describeEffect(effect)}.`);
+    });
+  }
+
+  describeEffect(effect) {
+    const percent = Math.round((effect.factor - 1) * 100);
+    return `${effect.source}: ${EFFECT_LABELS[effect.stat]} ${
+      percent >= 0 ? "+" : ""
+    }${percent}%`;
+  }
+
+  describeEventOption(option) {
+    const parts = option.modifiers.map((modifier) => {
+      const percent = Math.round((modifier.factor - 1) * 100);
+      return `${EFFECT_LABELS[modifier.stat]} ${
+        percent >= 0 ? "+" : ""
+      }${percent}% for ${this.formatDuration(modifier.duration)}`;
+    });
+    if (option.cost) {
+      parts.unshift(`costs ${fmtDecimal.format(option.cost(this.state))} cr`);
+    }
+    if (option.outcome) {
+      parts.push(option.outcome);
+    }
+    return parts.length ? parts.join(", ") : "no effect";
+  }
+
+  describePendingEvent() {
+    const event = EVENT_DECK.find(
+      (entry) => entry.id === this.state.pendingEvent
+    );
+    return [
+      `${event.title}: ${event.description}`,
+      ...Object.entries(event.options).map(
+        ([key, option]) =>
+          `  ${key}) ${option.label} (${this.describeEventOption(option)})`
+      ),
+      "Simulation paused. Type `choose a` or `choose b`.",
+    ].join("\n");
+  }
+
+  holdForEvent() {
+    if (this.silent || this.paused) {
+      return;
+    }
+    this.paused = true;
+    this.pausedForEvent = true;
+    this.stop();
+  }
+
+  drawEvent() {
+    if (
+      this.state.pendingEvent ||
+      this.tickCount < EVENT_GRACE_TICKS ||
+      this.tickCount % EVENT_CHECK_TICKS !== 0 ||
+      this.random() >= EVENT_CHANCE
+    ) {
+      return;
+    }
+
+    const eligible = EVENT_DECK.filter(
+      (event) => !event.isEligible || event.isEligible(this.state)
+    );
+    const totalWeight = eligible.reduce((sum, event) => sum + event.weight, 0);
+    let roll = this.random() * totalWeight;
+    const event =
+      eligible.find((entry) => {
+        roll -= entry.weight;
+        return roll < 0;
+      }) || eligible[eligible.length - 1];
+
+    this.state.pendingEvent = event.id;
+    this.log("EVENT", this.describePendingEvent(), "warning");
+    this.holdForEvent();
+  }
+
+  chooseEventOption(optionArg) {
+    if (!this.state.pendingEvent) {
+      this.log("EVENT", "No event is waiting for a decision.", "warning");
+      return;
+    }
+
+    const event = EVENT_DECK.find(
+      (entry) => entry.id === this.state.pendingEvent
+    );
+    const option = event.options[optionArg];
+    if (!option) {
+      this.log("EVENT", this.describePendingEvent(), "warning");
+      return;
+    }
+
+    const cost = option.cost ? option.cost(this.state) : 0;
+    if (this.state.funds < cost) {
+      this.log(
+        "EVENT",
+        `Option ${optionArg} needs ${fmtDecimal.format(cost)} cr. Insufficient funds.`,
+        "warning"
+      );
+      return;
+    }
+
+    this.state.funds -= cost;
+    if (option.apply) {
+      option.apply(this.state);
+    }
+    option.modifiers.forEach((modifier) => {
+      this.state.effects.push({
+        source: event.title,
+        stat: modifier.stat,
+        factor: modifier.factor,
+        expiresAt: this.state.secondsElapsed + modifier.duration,
+      });
+    });
+    this.state.pendingEvent = null;
+
+    const resumed = this.pausedForEvent && !this.silent;
+    if (resumed) {
+      this.paused = false;
+      this.pausedForEvent = false;
+      this.startLoop();
+    }
+    this.log(
+      "EVENT",
+      `${event.title}: ${option.label.toLowerCase()} (${this.describeEventOption(
+        option
+      )}).${resumed ? " Simulation resumed." : ""}`,
+      "success"
+    );
+  }
+
+  listEffects() {
+    const now = this.state.secondsElapsed;
+    const lines = this.state.effects.map(
+      (effect) =>
+        `  ${this.describeEffect(effect)} (expires in ${this.formatDuration(
+          effect.expiresAt - now
+        )})`
+    );
+    if (this.state.pendingEvent) {
+      lines.push(`Pending decision: ${this.describePendingEvent()}`);
+    }
+    this.log(
+      "EVENT",
+      lines.length
+        ? ["Active effects:", ...lines].join("\n")
+        : "No active effects."
+    );
+  }
+
+  canFabricate() {
+    return this.state.wire > 0;
+  }
+
+  canBuyAutoclipper() {
+    return this.state.funds >= this.state.clipperCost && this.state.wire > 0;
+  }
+
+  canBuyFactory() {
+    return (
+      this.state.flags.factoryUnlocked &&
+      this.state.funds >= this.state.factoryCost &&
+      this.state.autoclippers >= 3
+    );
+  }
+
+  canBuyWarehouse() {
+    return this.state.funds >= this.state.warehouseCost;
+  }
+
+  canBuyWire() {
+    return this.state.funds >= this.state.wireCost;
+  }
+
+  canLaunchMarketing() {
+    return (
+      this.state.flags.marketingUnlocked &&
+      this.scenarioRule("marketing") !== false &&
+      this.state.funds >= this.state.marketingCost
+    );
+  }
+
+  canOptimize() {
+    return (
+      this.state.flags.optimizationUnlocked &&
+      this.state.funds >= this.state.optimizeCost
+    );
+  }
+
+  checkUnlocks() {
+    UNLOCKS.forEach((unlock) => {
+      if (this.state.flags[unlock.flag] || !unlock.isMet(this.state)) {
+        return;
+      }
+
+      this.state.flags[unlock.flag] = true;
+      if (unlock.onUnlock) {
+        unlock.onUnlock(this.state);
+      }
+      this.log("SYSTEM", unlock.message);
+    });
+  }
+
+  readStored(key) {
+    if (!this.storage) {
+      return null;
+    }
+    try {
+      const raw = this.storage.getItem(key);
+      const parsed = raw ? JSON.parse(raw) : null;
+      return parsed && typeof parsed === "object" ? parsed : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  writeStored(key, value) {
+    if (!this.storage) {
+      return false;
+    }
+    try {
+      this.storage.setItem(key, JSON.stringify(value));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  checkAchievements() {
+    if (this.silent) {
+      return;
+    }
+    ACHIEVEMENTS.forEach((achievement) => {
+      if (this.achievements[achievement.id]) {
+        return;
+      }
+      const [current, goal] = achievement.progress(this.state);
+      if (
+        current < goal ||
+        (achievement.failed && achievement.failed(this.state))
+      ) {
+        return;
+      }
+
+      this.achievements[achievement.id] = {
+        unlockedAt: Date.now(),
+        sessionTime: this.formatTime(),
+      };
+      this.writeStored(ACHIEVEMENT_KEY, this.achievements);
+      this.log(
+        "ACHIEVEMENT",
+        `Unlocked "${achievement.name}": ${achievement.description}`,
+        "success"
+      );
+    });
+  }
+
+  listAchievements() {
+    const unlockedCount = ACHIEVEMENTS.filter(
+      (achievement) => this.achievements[achievement.id]
+    ).length;
+    const rows = ACHIEVEMENTS.map((achievement) => {
+      const unlocked = this.achievements[achievement.id];
+      let status = "";
+      if (unlocked) {
+        status = `unlocked ${new Date(unlocked.unlockedAt).toLocaleDateString()}`;
+      } else {
+        const [current, goal] = achievement.progress(this.state);
+        const failed = achievement.failed && achievement.failed(this.state);
+        const share = failed ? 0 : Math.min(Math.max(current / goal, 0), 1);
+        const filled = Math.floor(share * ACHIEVEMENT_BAR_WIDTH);
+        status = `[${"#".repeat(filled)}${".".repeat(
+          ACHIEVEMENT_BAR_WIDTH - filled
+        )}] ${failed ? "missed" : `${Math.floor(share * 100)}%`}`;
+      }
+      return `[${unlocked ? "x" : " "}] ${achievement.name.padEnd(
+        20
+      )} ${status.padEnd(ACHIEVEMENT_BAR_WIDTH + 9)} ${achievement.description}`;
+    });
+
+    this.log(
+      "ACHIEVEMENT",
+      [
+        `${unlockedCount} of ${ACHIEVEMENTS.length} achievements unlocked. Unlocks persist across resets.`,
+        ...rows,
+      ].join("\n")
+    );
+  }
+
+  bumpCost(value, rate) {
+    const bumped = value * (1 + rate);
+    return Math.round(bumped * 100) / 100;
+  }
+
+  formatTime() {
+    return this.formatDuration(this.state.secondsElapsed);
+  }
+
+  formatDuration(value) {
+    const totalSeconds = Math.floor(value);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    const hh = String(hours).padStart(2, "0");
+    const mm = String(minutes).padStart(2, "0");
+    const ss = String(seconds).padStart(2, "0");
+    return `${hh}:${mm}:${ss}`;
+  }
+
+  log(channel, message, variant = "", options = {}) {
+    if (this.silent) {
+      return;
+    }
+    const { forceScroll = false } = options;
+    if (variant === "warning") {
+      this.warningCount += 1;
+    }
+    const entry = { time: this.formatTime(), channel, message, variant };
+    this.transcript.push(entry);
+    if (this.transcript.length > TRANSCRIPT_LIMIT) {
+      this.transcript.shift();
+    }
+    this.emit("log", {
+      ...entry,
+      forceScroll:
+        forceScroll || (this.operatorCommandActive && channel !== "HEARTBEAT"),
+    });
+  }
+
+  isChannelVisible(channel) {
+    if (LOG_PINNED_CHANNELS.includes(channel)) {
+      return true;
+    }
+    const { only, muted } = this.logView;
+    return (!only || only.includes(channel)) && !muted.includes(channel);
+  }
+
+  knownChannels() {
+    return [...new Set(this.transcript.map((entry) => entry.channel))]
+      .filter((channel) => !LOG_PINNED_CHANNELS.includes(channel))
+      .sort();
+  }
+
+  logStatus() {
+    const { only, muted } = this.logView;
+    this.log(
+      "LOG",
+      [
+        `Transcript holds ${fmtInteger.format(
+          this.transcript.length
+        )} of ${fmtInteger.format(TRANSCRIPT_LIMIT)} lines.`,
+        `Showing: ${only ? only.join(", ") : "all channels"}.`,
+        `Muted: ${muted.length ? muted.join(", ") : "none"}.`,
+      ].join("\n")
+    );
+  }
+
+  setLogFilter(channels) {
+    const names = channels.map((channel) => channel.toUpperCase());
+    if (!names.length || (names.length === 1 && names[0] === "ALL")) {
+      this.logView.only = null;
+      this.emit("logview");
+      this.log("LOG", "Filter cleared. Showing every unmuted channel.");
+      return;
+    }
+
+    this.logView.only = [...new Set(names)];
+    this.emit("logview");
+    this.log(
+      "LOG",
+      `Showing only ${this.logView.only.join(", ")}.${this.describeUnknownChannels(
+        this.logView.only
+      )}`
+    );
+  }
+
+  muteChannels(channels, muted) {
+    const names = channels.map((channel) => channel.toUpperCase());
+    if (!names.length) {
+      if (muted) {
+        this.log("LOG", "Usage: log mute <channel...>", "warning");
+        return;
+      }
+      this.logView.muted = [];
+      this.emit("logview");
+      this.log("LOG", "All channels unmuted.");
+      return;
+    }
+
+    const pinned = names.filter((name) => LOG_PINNED_CHANNELS.includes(name));
+    if (pinned.length) {
+      this.log(
+        "LOG",
+        `${pinned.join(", ")} cannot be muted; operator input and log replies are always shown.`,
+        "warning"
+      );
+      return;
+    }
+
+    this.logView.muted = muted
+      ? [...new Set([...this.logView.muted, ...names])]
+      : this.logView.muted.filter((name) => !names.includes(name));
+    this.emit("logview");
+    this.log(
+      "LOG",
+      `${muted ? "Muted" : "Unmuted"} ${names.join(", ")}.${
+        muted ? this.describeUnknownChannels(names) : ""
+      }`
+    );
+  }
+
+  describeUnknownChannels(names) {
+    const known = this.knownChannels();
+    const unknown = names.filter(
+      (name) => !known.includes(name) && !LOG_PINNED_CHANNELS.includes(name)
+    );
+    return unknown.length
+      ? ` No lines from ${unknown.join(", ")} yet this session.`
+      : "";
+  }
+
+  searchLog(text) {
+    const needle = text.trim().toLowerCase();
+    if (!needle) {
+      this.log("LOG", "Usage: log search <text>", "warning");
+      return;
+    }
+
+    const matches = this.transcript.filter(
+      (entry) =>
+        entry.channel !== "OPERATOR" &&
+        `${entry.channel} ${entry.message}`.toLowerCase().includes(needle)
+    );
+    if (!matches.length) {
+      this.log("LOG", `No transcript lines contain "${text.trim()}".`);
+      return;
+    }
+
+    const shown = matches.slice(-LOG_SEARCH_LIMIT);
+    this.log(
+      "LOG",
+      [
+        `${fmtInteger.format(matches.length)} line(s) contain "${text.trim()}"${
+          matches.length > shown.length
+            ? `; showing the newest ${shown.length}`
+            : ""
+        }:`,
+        ...shown.map(
+          (entry) => `  [${entry.time}] ${entry.channel} ${entry.message}`
+        ),
+      ].join("\n")
+    );
+  }
+
+  clearLog() {
+    this.transcript = [];
+    this.emit("logview");
+    this.log("LOG", "Console and transcript cleared.");
+  }
+
+  exportLog(formatArg = "text") {
+    const format = formatArg.toLowerCase();
+    if (!LOG_EXPORT_FORMATS.includes(format)) {
+      this.log("LOG", "Usage: log export [text|json]", "warning");
+      return;
+    }
+
+    const entries = this.transcript.map(({ time, channel, message }) => ({
+      time,
+      channel,
+      message,
+    }));
+    const content =
+      format === "json"
+        ? JSON.stringify(entries, null, 2)
+        : entries
+            .map(({ time, channel, message }) =>
+              message
+                .split("\n")
+                .map((line) => `[${time}] ${channel} ${line}`)
+                .join("\n")
+            )
+            .join("\n");
+    this.emit("download", {
+      filename: `paperclip-log-${this.state.seed}-${Math.floor(
+        this.state.secondsElapsed
+      )}.${format === "json" ? "json" : "txt"}`,
+      type: format === "json" ? "application/json" : "text/plain",
+      content,
+    });
+    this.log(
+      "LOG",
+      `Exported ${fmtInteger.format(entries.length)} transcript line(s) as ${format}.`,
+      "success"
+    );
+  }
+
+  logStatusPulse() {
+    this.log(
+      "HEARTBEAT",
+      `Inventory ${fmtInteger.format(this.state.inventory)} | Funds ${fmtDecimal.format(
+        this.state.funds
+      )} | Demand ${this.state.demandIndex.toFixed(2)}`
+    );
+  }
+
+  describeActiveResearch() {
+    const { active, queue } = this.state.research;
+    if (!active) {
+      return "idle";
+    }
+    const queued = queue.length ? `, ${queue.length} queued` : "";
+    return `${this.findResearch(active.id).name} (${Math.ceil(
+      active.remaining
+    )}s${queued})`;
+  }
+
+  getQuickActions() {
+    return COMMANDS.filter((command) => {
+      if (!command.quickAction || !this.isCommandUnlocked(command)) {
+        return false;
+      }
+      const { visible } = command.quickAction;
+      return visible ? visible(this) : true;
+    });
+  }
+
+  getCommandSuggestions(prefix) {
+    const needle = prefix.toLowerCase();
+    const tokens = needle.trim().split(/\s+/).filter(Boolean);
+    const completed = needle.endsWith(" ") ? tokens : tokens.slice(0, -1);
+    const suggestions = new Set();
+
+    COMMANDS.forEach((command) => {
+      const words = command.name.split(" ");
+      if (completed.length < words.length) {
+        if (completed.every((token, index) => token === words[index])) {
+          suggestions.add(words.slice(0, completed.length + 1).join(" "));
+        }
+        return;
+      }
+
+      if (!words.every((word, index) => completed[index] === word)) {
+        return;
+      }
+      const slot = grammarSlot(command.args, completed.length - words.length);
+      this.getArgumentCompletions(command, slot).forEach((value) => {
+        suggestions.add([...completed, value].join(" "));
+      });
+    });
+
+    return [...suggestions].filter((candidate) =>
+      candidate.toLowerCase().startsWith(needle)
+    );
+  }
+
+  getArgumentCompletions(command, slot) {
+    if (!slot) {
+      return [];
+    }
+    if (slot.literal) {
+      return /^[a-z]+$/.test(slot.literal) ? [slot.literal] : [];
+    }
+    const provider =
+      slot.name && command.completions && command.completions[slot.name];
+    return [...slot.choices, ...(provider ? provider(this) : [])];
+  }
+
+  getArgumentHint(prefix) {
+    const tokens = prefix.trim().split(/\s+/).filter(Boolean);
+    const completed = prefix.endsWith(" ") ? tokens : tokens.slice(0, -1);
+    const match = this.findCommand(completed);
+    if (!match) {
+      return null;
+    }
+    const slot = grammarSlot(match.command.args, match.args.length);
+    const provider =
+      slot && match.command.hints && match.command.hints[slot.name];
+    return provider ? provider(this) : null;
+  }
+
+  quantityCompletions(costKey) {
+    const max = this.maxAffordable(costKey);
+    return max > 0 ? [String(max)] : [];
+  }
+
+  quantityHint(costKey) {
+    const max = this.maxAffordable(costKey);
+    if (max === 0) {
+      return `cannot afford any yet (next unit ${fmtDecimal.format(
+        this.state[costKey]
+      )} cr)`;
+    }
+    return `max affordable ${fmtInteger.format(max)} for ${fmtDecimal.format(
+      this.totalCost(costKey, max)
+    )} cr`;
+  }
+
+  totalCost(costKey, count) {
+    let cost = this.state[costKey];
+    let total = 0;
+    for (let i = 0; i < count; i++) {
+      total += cost;
+      cost = this.bumpCost(cost, COST_GROWTH[costKey]);
+    }
+    return total;
+  }
+
+  maxAffordable(costKey, budget = Infinity) {
+    let funds = Math.min(budget, this.state.funds);
+    let cost = this.state[costKey];
+    let count = 0;
+    while (funds >= cost && count < MAX_AFFORDABLE_SCAN) {
+      funds -= cost;
+      cost = this.bumpCost(cost, COST_GROWTH[costKey]);
+      count += 1;
+    }
+    return count;
+  }
+
+  longestCommonPrefix(candidates) {
+    if (!candidates.length) {
+      return "";
+    }
+    let prefix = candidates[0];
+    for (let i = 1; i < candidates.length; i++) {
+      while (!candidates[i].startsWith(prefix) && prefix.length > 0) {
+        prefix = prefix.slice(0, -1);
+      }
+      if (!prefix) {
+        break;
+      }
+    }
+    return prefix;
+  }
+
+  autocomplete(raw) {
+    const trimmed = raw.trim();
+    const hasTrailingSpace = raw.endsWith(" ") && trimmed.length > 0;
+    const prefix = hasTrailingSpace ? `${trimmed} ` : trimmed;
+    const suggestions = this.getCommandSuggestions(prefix);
+    const hint = prefix ? this.getArgumentHint(prefix) : null;
+    if (hint) {
+      this.log("SYSTEM", `Hint: ${hint}`);
+    }
+
+    if (!prefix) {
+      if (!suggestions.length) {
+        return raw;
+      }
+      const suggestion = suggestions[0];
+      return suggestion.endsWith(" ") ? suggestion : `${suggestion} `;
+    }
+
+    if (!suggestions.length) {
+      return raw;
+    }
+
+    if (suggestions.length === 1) {
+      const suggestion = suggestions[0];
+      return suggestion.endsWith(" ") ? suggestion : `${suggestion} `;
+    }
+
+    if (hasTrailingSpace && suggestions.length > 1) {
+      this.log("SYSTEM", `Options: ${suggestions.join(", ")}`);
+      return raw;
+    }
+
+    const lcp = this.longestCommonPrefix(suggestions);
+    if (lcp.length > prefix.length) {
+      const boundary = lcp.slice(0, lcp.lastIndexOf(" ") + 1);
+      return boundary.length > prefix.length ? boundary : lcp;
+    }
+
+    this.log("SYSTEM", `Options: ${suggestions.join(", ")}`);
+    return raw;
+  }
+
+  handleButtonsCommand(arg) {
+    const normalized = (arg || "").toLowerCase();
+    if (normalized === "on" || normalized === "enable") {
+      this.setButtonsEnabled(true);
+    } else if (normalized === "off" || normalized === "disable") {
+      this.setButtonsEnabled(false);
+    } else {
+      this.log(
+        "SYSTEM",
+        "Usage: buttons <on|off>. Accepts 'on' or 'off'.",
+        "warning"
+      );
+    }
+  }
+
+  setButtonsEnabled(value) {
+    if (this.buttonsEnabled === value) {
+      this.log(
+        "SYSTEM",
+        `Quick actions already ${value ? "enabled" : "disabled"}.`,
+        "warning"
+      );
+      return;
+    }
+    this.buttonsEnabled = value;
+    this.emit("render");
+    this.log(
+      "SYSTEM",
+      `Quick action buttons ${value ? "enabled" : "disabled"}.`,
+      value ? "success" : ""
+    );
+  }
+}
+
+export {
+  COMMANDS,
+  PRODUCT_LINES,
+  PaperclipCommand,
+  TREND_ARROWS,
+  createInitialState,
+  fmtDecimal,
+  fmtInteger,
+  storedUnits,
+};